@@ -196,4 +196,12 @@ contract IReputationMiningCycle {
   function rewardStakersWithReputation(address[] stakers, address commonColonyAddress, uint reward, uint miningSkillId) public;
 
   function reputationMiningWindowOpenTimestamp() public view returns (uint timestamp);
+
+  /// @notice Get the number of unique hashes that have been submitted this mining cycle
+  /// @return nHashes
+  function nSubmittedHashes() public view returns (uint256 nHashes);
+
+  /// @notice Get the number of hashes that have been invalidated this mining cycle
+  /// @return nInvalidated
+  function nInvalidatedHashes() public view returns (uint256 nInvalidated);
 }
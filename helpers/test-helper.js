@@ -91,6 +91,21 @@ export async function checkErrorRevert(promise, errMsg) {
   assert.equal(receipt.status, 0x00);
 }
 
+// The reputation miner doesn't send a transaction the node expects to fail at all, and rejects with an error with `wouldFail` set instead,
+// so there's no receipt for `checkErrorRevert` to check
+// eslint-disable-next-line no-unused-vars
+export async function checkWouldFail(promise, errMsg) {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  assert.isDefined(error, "Expected the transaction to fail");
+  // TODO: Check errMsg is the reason the node gives, once it gives one when estimating gas
+  assert.isTrue(error.wouldFail, `Expected the node to say the transaction would fail, but got: ${error.message}`);
+}
+
 export function checkErrorNonPayableFunction(tx) {
   assert.equal(tx, "Error: Cannot send value to non-payable function");
 }
@@ -123,6 +138,18 @@ export async function currentBlockTime() {
   return p;
 }
 
+export async function currentBlockNumber() {
+  const p = new Promise((resolve, reject) => {
+    web3.eth.getBlock("latest", (err, res) => {
+      if (err) {
+        return reject(err);
+      }
+      return resolve(res.number);
+    });
+  });
+  return p;
+}
+
 export async function getBlockTime(blockNumber) {
   const p = new Promise((resolve, reject) => {
     web3.eth.getBlock(blockNumber, (err, res) => {
@@ -243,19 +270,5 @@ export async function createSignaturesTrezor(colony, taskId, signers, value, dat
   return { sigV, sigR, sigS };
 }
 
-export function bnSqrt(bn, isGreater) {
-  let a = bn.add(web3Utils.toBN(1)).div(web3Utils.toBN(2));
-  let b = bn;
-  while (a.lt(b)) {
-    b = a;
-    a = bn
-      .div(a)
-      .add(a)
-      .div(web3Utils.toBN(2));
-  }
-
-  if (isGreater && b.mul(b).lt(bn)) {
-    b = b.addn(1);
-  }
-  return b;
-}
+// The one the reputation oracle works out reward payout claims with, so the tests check the contract against the same rounding
+export { bnSqrt } from "../packages/reputation-miner/RewardPayout";
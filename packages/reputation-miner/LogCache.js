@@ -0,0 +1,122 @@
+const BN = require("bn.js");
+const ethers = require("ethers");
+
+const { forEachConcurrently } = require("./concurrency");
+
+// How many log entries we ask the node for at the same time
+const DEFAULT_CONCURRENCY = 10;
+
+/**
+ * Keeps the reputation update log of the active `ReputationMiningCycle` in memory, so that the miner can look up log entries
+ * without going back to the chain every time. Nothing is appended to the log of the active cycle (new updates go to the inactive one),
+ * so it only has to be downloaded once. Which cycle is the active one isn't checked again either: once that cycle has been confirmed,
+ * `invalidate()` has to be called (as the miner does whenever it starts processing the log of a new cycle) for the cache to move on.
+ */
+class LogCache {
+  /**
+   * Constructor for LogCache
+   * @param {Contract} colonyNetwork                The `ColonyNetwork` contract whose active cycle's log should be cached
+   * @param {Object}   repCycleContractDef          The contract definition of `IReputationMiningCycle`, as given by the contract loader
+   * @param {Signer}   signer                       The signer (or provider) to connect the `ReputationMiningCycle` contract to
+   * @param {Number}   [concurrency=DEFAULT_CONCURRENCY] The maximum number of log entries to request at the same time
+   */
+  constructor(colonyNetwork, repCycleContractDef, signer, concurrency = DEFAULT_CONCURRENCY) {
+    this.colonyNetwork = colonyNetwork;
+    this.repCycleContractDef = repCycleContractDef;
+    this.signer = signer;
+    this.concurrency = concurrency;
+    this.invalidate();
+  }
+
+  /**
+   * Discard everything we have cached, including which cycle is the active one
+   */
+  invalidate() {
+    this.address = undefined;
+    this.repCycle = undefined;
+    this.logEntries = undefined;
+  }
+
+  /**
+   * Get the active `ReputationMiningCycle` contract, as it was when the cache was last invalidated
+   * @return {Promise} Resolves to the contract, connected to the signer
+   */
+  async getRepCycle() {
+    if (this.repCycle === undefined) {
+      const addr = await this.colonyNetwork.getReputationMiningCycle(true);
+      this.address = addr;
+      this.repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.signer);
+    }
+    return this.repCycle;
+  }
+
+  /**
+   * Get the whole reputation update log of the active cycle, downloading it if we haven't already
+   * @return {Promise} Resolves to an array of log entries, in the form `getReputationUpdateLogEntry` returns them
+   */
+  async getLogEntries() {
+    const repCycle = await this.getRepCycle();
+    if (this.logEntries === undefined) {
+      const logEntries = this.fetchLogEntries(repCycle);
+      this.logEntries = logEntries;
+      logEntries.catch(() => {
+        // Try again next time, unless the cycle has moved on in the meantime anyway
+        if (this.logEntries === logEntries) {
+          this.logEntries = undefined;
+        }
+      });
+    }
+    return this.logEntries;
+  }
+
+  /**
+   * Get a single entry of the reputation update log of the active cycle
+   * @param  {Number or BigNumber} i The index of the log entry
+   * @return {Promise}               Resolves to the log entry
+   */
+  async getLogEntry(i) {
+    const logEntries = await this.getLogEntries();
+    const logEntry = logEntries[i.toString()];
+    if (logEntry === undefined) {
+      throw new Error(`There is no log entry ${i.toString()} in the reputation update log of the mining cycle at ${this.address}`);
+    }
+    return logEntry;
+  }
+
+  /**
+   * Find the log entry that implies update `updateNumber` of the active cycle
+   * @param  {Number or BigNumber} _updateNumber The update number
+   * @return {Promise}                           Resolves to the index of the log entry as a BN
+   */
+  async getLogEntryNumberForUpdateNumber(_updateNumber) {
+    const updateNumber = new BN(_updateNumber.toString());
+    const logEntries = await this.getLogEntries();
+    let lower = 0;
+    let upper = logEntries.length - 1;
+    while (upper > lower) {
+      const testIdx = lower + Math.floor((upper - lower) / 2);
+      const nPreviousUpdates = new BN(logEntries[testIdx][5].toString());
+      const nUpdates = new BN(logEntries[testIdx][4].toString());
+      if (nPreviousUpdates.gt(updateNumber)) {
+        upper = testIdx - 1;
+      } else if (nPreviousUpdates.add(nUpdates).gt(updateNumber)) {
+        upper = testIdx;
+        lower = testIdx;
+      } else {
+        lower = testIdx + 1;
+      }
+    }
+    return new BN(lower);
+  }
+
+  async fetchLogEntries(repCycle) {
+    const nLogEntries = (await repCycle.getReputationUpdateLogLength()).toNumber();
+    const logEntries = new Array(nLogEntries);
+    await forEachConcurrently(nLogEntries, this.concurrency, async i => {
+      logEntries[i] = await repCycle.getReputationUpdateLogEntry(i);
+    });
+    return logEntries;
+  }
+}
+
+module.exports = LogCache;
@@ -0,0 +1,288 @@
+const fs = require("fs");
+
+// How many nodes `LRUNodeStore` keeps in memory unless told otherwise
+const DEFAULT_CACHE_SIZE = 100000;
+// Read and write, creating the file if it doesn't exist. Not appending, so that a record we crashed while writing can be overwritten.
+const FILE_FLAGS = fs.constants.O_RDWR | fs.constants.O_CREAT; // eslint-disable-line no-bitwise
+// How much of a `FileNodeStore` file we read at a time while indexing it
+const READ_CHUNK_SIZE = 1 << 20; // eslint-disable-line no-bitwise
+// How much of a `FileNodeStore` file can be taken up by records of nodes that are no longer in the store before it needs compacting.
+// Compacting then rewrites no more than has been appended since the last time, so it doesn't get slower as the store grows.
+const MAX_WASTED_FRACTION = 0.5;
+
+/**
+ * Where a `PatriciaTree` keeps its nodes. Every node store maps the hash of a node (as a hex string) to the node, encoded as plain JSON,
+ * and implements the same interface as this one: `get`, `has`, `set`, `delete`, `keys` and `clear`. A tree that stores values keeps them here
+ * too, as `[key, value]` under an id of their own (see `leafId` in patricia.js). Stores that keep their nodes across restarts say so
+ * with `persistent`, which means a tree using them can be restored without serializing its nodes.
+ */
+class MemoryNodeStore {
+  constructor() {
+    this.persistent = false;
+    this.nodes = new Map();
+  }
+
+  /**
+   * Get a node
+   * @param  {string} nodeHash The hash of the node
+   * @return {Array}           The encoded node, or `undefined` if it isn't in the store
+   */
+  get(nodeHash) {
+    return this.nodes.get(nodeHash);
+  }
+
+  /**
+   * Whether a node is in the store
+   * @param  {string} nodeHash The hash of the node
+   * @return {bool}
+   */
+  has(nodeHash) {
+    return this.nodes.has(nodeHash);
+  }
+
+  /**
+   * Add a node
+   * @param {string} nodeHash The hash of the node
+   * @param {Array}  node     The encoded node
+   */
+  set(nodeHash, node) {
+    this.nodes.set(nodeHash, node);
+  }
+
+  /**
+   * Remove a node
+   * @param {string} nodeHash The hash of the node
+   */
+  delete(nodeHash) {
+    this.nodes.delete(nodeHash);
+  }
+
+  /**
+   * Get the hashes of every node in the store
+   * @return {Array}
+   */
+  keys() {
+    return [...this.nodes.keys()];
+  }
+
+  /**
+   * Remove every node
+   */
+  clear() {
+    this.nodes.clear();
+  }
+}
+
+/**
+ * Keeps the nodes in an append-only file, one JSON record per line: `[nodeHash, node]` when a node is added and `[nodeHash]` when it is
+ * removed. Only the position of every node in the file is kept in memory. Removed nodes still take up space in the file until `compact`
+ * is called, which is only worth it once `needsCompacting` says so.
+ */
+class FileNodeStore {
+  /**
+   * Constructor for FileNodeStore
+   * @param {string} file The file to keep the nodes in. If it exists, the nodes in it are picked up.
+   */
+  constructor(file) {
+    this.persistent = true;
+    this.file = file;
+    // [position, length] in the file of the latest record of every node in the store, by its hash
+    this.index = new Map();
+    this.fd = fs.openSync(file, FILE_FLAGS);
+    this.fileSize = 0;
+    // How much of the file the latest records of the nodes in the store take up
+    this.liveSize = 0;
+    this.loadIndex();
+  }
+
+  get(nodeHash) {
+    const location = this.index.get(nodeHash);
+    if (location === undefined) {
+      return undefined;
+    }
+    const [position, length] = location;
+    const buffer = Buffer.alloc(length);
+    fs.readSync(this.fd, buffer, 0, length, position);
+    return JSON.parse(buffer.toString())[1];
+  }
+
+  has(nodeHash) {
+    return this.index.has(nodeHash);
+  }
+
+  set(nodeHash, node) {
+    this.setLocation(nodeHash, this.append([nodeHash, node]));
+  }
+
+  delete(nodeHash) {
+    if (this.index.has(nodeHash)) {
+      this.append([nodeHash]);
+      this.setLocation(nodeHash, undefined);
+    }
+  }
+
+  keys() {
+    return [...this.index.keys()];
+  }
+
+  clear() {
+    fs.ftruncateSync(this.fd, 0);
+    this.fileSize = 0;
+    this.liveSize = 0;
+    this.index.clear();
+  }
+
+  /**
+   * Whether enough of the file is taken up by records of nodes that are no longer in the store for `compact` to be worth it
+   * @return {bool}
+   */
+  needsCompacting() {
+    return this.fileSize - this.liveSize > this.fileSize * MAX_WASTED_FRACTION;
+  }
+
+  /**
+   * Rewrite the file so that it only holds the nodes that are still in the store
+   */
+  compact() {
+    const compactedFile = `${this.file}.compacting`;
+    const compactedFd = fs.openSync(compactedFile, "w");
+    const index = new Map();
+    let fileSize = 0;
+    this.index.forEach((location, nodeHash) => {
+      const record = Buffer.from(`${JSON.stringify([nodeHash, this.get(nodeHash)])}\n`);
+      fs.writeSync(compactedFd, record, 0, record.length, fileSize);
+      index.set(nodeHash, [fileSize, record.length - 1]);
+      fileSize += record.length;
+    });
+    fs.closeSync(compactedFd);
+    fs.closeSync(this.fd);
+    fs.renameSync(compactedFile, this.file);
+    this.fd = fs.openSync(this.file, FILE_FLAGS);
+    this.index = index;
+    this.fileSize = fileSize;
+    this.liveSize = fileSize;
+  }
+
+  /**
+   * Close the file. The store can't be used afterwards.
+   */
+  close() {
+    fs.closeSync(this.fd);
+  }
+
+  append(record) {
+    const buffer = Buffer.from(`${JSON.stringify(record)}\n`);
+    const position = this.fileSize;
+    fs.writeSync(this.fd, buffer, 0, buffer.length, position);
+    this.fileSize += buffer.length;
+    return [position, buffer.length - 1];
+  }
+
+  loadIndex() {
+    const fileSize = fs.fstatSync(this.fd).size;
+    const chunk = Buffer.alloc(READ_CHUNK_SIZE);
+    let lineStart = 0;
+    let partial = Buffer.alloc(0);
+    for (let position = 0; position < fileSize; position += READ_CHUNK_SIZE) {
+      const bytesRead = fs.readSync(this.fd, chunk, 0, READ_CHUNK_SIZE, position);
+      let data = Buffer.concat([partial, chunk.slice(0, bytesRead)]);
+      let newline = data.indexOf(10);
+      while (newline !== -1) {
+        this.indexRecord(data.slice(0, newline), lineStart);
+        lineStart += newline + 1;
+        data = data.slice(newline + 1);
+        newline = data.indexOf(10);
+      }
+      partial = Buffer.from(data);
+    }
+    // Anything after the last newline is a record we crashed while writing, and is overwritten by the next one
+    this.fileSize = lineStart;
+  }
+
+  indexRecord(line, position) {
+    const [nodeHash, node] = JSON.parse(line.toString());
+    this.setLocation(nodeHash, node === undefined ? undefined : [position, line.length]);
+  }
+
+  // Points the index at the latest record of a node (or removes it from the index, if `location` is undefined), keeping `liveSize` up to date.
+  // Records take up a byte more than their length, for the newline.
+  setLocation(nodeHash, location) {
+    const previous = this.index.get(nodeHash);
+    if (previous !== undefined) {
+      this.liveSize -= previous[1] + 1;
+    }
+    if (location === undefined) {
+      this.index.delete(nodeHash);
+    } else {
+      this.index.set(nodeHash, location);
+      this.liveSize += location[1] + 1;
+    }
+  }
+}
+
+/**
+ * Keeps the most recently used nodes of another node store in memory. Writes go straight through to the other store.
+ */
+class LRUNodeStore {
+  /**
+   * Constructor for LRUNodeStore
+   * @param {Object} store                         The node store to cache the nodes of
+   * @param {Number} [cacheSize=DEFAULT_CACHE_SIZE] The maximum number of nodes to keep in memory
+   */
+  constructor(store, cacheSize = DEFAULT_CACHE_SIZE) {
+    this.store = store;
+    this.persistent = store.persistent;
+    this.cacheSize = cacheSize;
+    // A Map iterates in insertion order, so the least recently used node is always the first one
+    this.cache = new Map();
+  }
+
+  get(nodeHash) {
+    let node = this.cache.get(nodeHash);
+    if (node !== undefined) {
+      this.cache.delete(nodeHash);
+    } else {
+      node = this.store.get(nodeHash);
+      if (node === undefined) {
+        return undefined;
+      }
+    }
+    this.cacheNode(nodeHash, node);
+    return node;
+  }
+
+  has(nodeHash) {
+    return this.cache.has(nodeHash) || this.store.has(nodeHash);
+  }
+
+  set(nodeHash, node) {
+    this.store.set(nodeHash, node);
+    this.cache.delete(nodeHash);
+    this.cacheNode(nodeHash, node);
+  }
+
+  delete(nodeHash) {
+    this.store.delete(nodeHash);
+    this.cache.delete(nodeHash);
+  }
+
+  keys() {
+    return this.store.keys();
+  }
+
+  clear() {
+    this.store.clear();
+    this.cache.clear();
+  }
+
+  cacheNode(nodeHash, node) {
+    this.cache.set(nodeHash, node);
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+}
+
+exports.MemoryNodeStore = MemoryNodeStore;
+exports.FileNodeStore = FileNodeStore;
+exports.LRUNodeStore = LRUNodeStore;
@@ -0,0 +1,96 @@
+const fs = require("fs");
+
+const ReputationSnapshot = require("./ReputationSnapshot");
+
+/**
+ * Every confirmed reputation state the client has had, so the oracle can still answer about a state after it has moved on from it.
+ * The states themselves stay in the node store of the miner's Javascript tree, which keeps their nodes (see `JsTreeBackend.keepState`),
+ * so all this keeps is an index of them by root hash. It's kept in a file with a line of JSON per state (e.g. `reputations.history.jsonl`),
+ * which is only ever appended to, and in memory. A miner that keeps its state in a `PatriciaTree` contract can't read an earlier state
+ * of it, so it has no history.
+ */
+class ReputationHistory {
+  /**
+   * Constructor for ReputationHistory
+   * @param {string}          file  The file to keep the index in. It is created if it doesn't exist.
+   * @param {ReputationMiner} miner The miner whose tree keeps the states
+   */
+  constructor(file, miner) {
+    this.file = file;
+    this.miner = miner;
+    // `{ rootHash, nNodes, blockNumber, cycle, state }` of every state kept, by root hash, where `state` is what `keepState` gave for it
+    this.states = new Map();
+    if (fs.existsSync(file)) {
+      const content = fs.readFileSync(file, "utf8");
+      // If we crashed in the middle of writing a line, the next one has to start on a line of its own
+      this.endsMidLine = content.length > 0 && !content.endsWith("\n");
+      content
+        .split("\n")
+        .filter(line => line.length > 0)
+        .forEach(line => {
+          let kept;
+          try {
+            kept = JSON.parse(line);
+          } catch (err) {
+            // The last line of a file that was being written when we crashed. The state will be recorded again.
+            return;
+          }
+          this.states.set(kept.rootHash, kept);
+        });
+    }
+  }
+
+  /**
+   * Keep a confirmed reputation state. States are never changed once kept, so keeping one we already have does nothing, and nor does
+   * keeping one whose snapshot is a copy rather than a state its tree kept.
+   * @param {ReputationSnapshot} snapshot              The snapshot of the state that was confirmed
+   * @param {Object}             [confirmation]        Where the state was confirmed, if we know
+   * @param {Number}             [confirmation.blockNumber] The block it was confirmed in
+   * @param {Number}             [confirmation.cycle]  Which mining cycle to complete confirmed it, counting from 1
+   */
+  record(snapshot, { blockNumber, cycle } = {}) {
+    const { rootHash, nNodes, state } = snapshot;
+    if (state === undefined || this.states.has(rootHash)) {
+      return;
+    }
+    const kept = { rootHash, nNodes, blockNumber, cycle, state };
+    fs.appendFileSync(this.file, `${this.endsMidLine ? "\n" : ""}${JSON.stringify(kept)}\n`);
+    this.endsMidLine = false;
+    this.states.set(rootHash, kept);
+  }
+
+  /**
+   * Whether a state is kept
+   * @param  {string} rootHash The root hash of the state
+   * @return {bool}
+   */
+  has(rootHash) {
+    return this.states.has(rootHash);
+  }
+
+  /**
+   * Get a snapshot of a state that was kept
+   * @param  {string}  rootHash The root hash of the state
+   * @return {Promise}          Resolves to the `ReputationSnapshot`, or `undefined` if the state wasn't kept, or its nodes are no longer
+   *                            in the node store (e.g. because the tree was rebuilt from scratch since). Rejects if what was kept
+   *                            doesn't have that root hash.
+   */
+  async get(rootHash) {
+    const kept = this.states.get(rootHash);
+    if (kept === undefined || !this.miner.useJsTree) {
+      return undefined;
+    }
+    let snapshot;
+    try {
+      snapshot = await ReputationSnapshot.open(this.miner.reputationTree, kept.state);
+    } catch (err) {
+      return undefined;
+    }
+    if (snapshot.rootHash !== rootHash) {
+      throw new Error(`The reputation state kept for ${rootHash} has root hash ${snapshot.rootHash}`);
+    }
+    return snapshot;
+  }
+}
+
+module.exports = ReputationHistory;
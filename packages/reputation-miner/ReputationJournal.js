@@ -0,0 +1,98 @@
+const fs = require("fs");
+
+/**
+ * What the client has done in the mining cycle it is working on, so that a client that is restarted part way through a cycle can pick up
+ * where it stopped, rather than build a state it can't defend on top of the one it had already built. It's kept in a file with a line of
+ * JSON per record (e.g. `reputations.journal.jsonl`). The first record is the state built for the cycle, with everything needed to
+ * defend it. After that, each submission and each step in a dispute is recorded before it is sent, and again once it has been mined.
+ */
+class ReputationJournal {
+  /**
+   * Constructor for ReputationJournal
+   * @param {string} file The file to keep the journal in
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * Start the journal of a new cycle, replacing that of the last one
+   * @param {Object} cycle `{ cycleAddress, rootHash, nNodes, jrh, justificationHashes, updates }`: the cycle, the state built for it, its
+   *                       justification root hash, what `ReputationMiner.justificationHashes` holds for it and what its log did
+   *                       to the reputations, as `ReputationMiner.getCycleUpdates` gives it
+   */
+  beginCycle(cycle) {
+    // Write it somewhere else first, so the journal is always that of one cycle or the other
+    ReputationJournal.writeSync(`${this.file}.tmp`, `${JSON.stringify(Object.assign({ type: "cycle" }, cycle))}\n`, "w");
+    fs.renameSync(`${this.file}.tmp`, this.file);
+  }
+
+  /**
+   * Record that we're about to send a transaction for the cycle, or that one we sent has been mined
+   * @param {Object} record `{ type: "submitting", entryIndex }` or `{ type: "submitted", entryIndex, tx }` for a submission of our hash,
+   *                        and `{ type: "disputeStep", step }` or `{ type: "disputeStepDone", step, tx }` for a step in a dispute
+   */
+  record(record) {
+    ReputationJournal.writeSync(this.file, `${JSON.stringify(record)}\n`, "a");
+  }
+
+  /**
+   * Read the journal back
+   * @return {Object} The cycle as it was passed to `beginCycle`, with the `submittedEntries` (indices of the entries we've submitted our
+   *                  hash with) and `completedSteps` (the dispute steps that were mined, in order), or `undefined` if there is no journal.
+   *                  A submission or step that was about to be sent, but never recorded as mined, may or may not have been.
+   *                  If we crashed in the middle of writing a record, the line is ended, so the next record starts on a line of its own.
+   */
+  restore() {
+    if (!fs.existsSync(this.file)) {
+      return undefined;
+    }
+    const content = fs.readFileSync(this.file, "utf8");
+    if (content.length > 0 && !content.endsWith("\n")) {
+      ReputationJournal.writeSync(this.file, "\n", "a");
+    }
+    const records = [];
+    content
+      .split("\n")
+      .filter(line => line.length > 0)
+      .forEach(line => {
+        try {
+          records.push(JSON.parse(line));
+        } catch (err) {
+          // The last line of a journal that was being written when we crashed, which was never acted on
+        }
+      });
+    if (records.length === 0 || records[0].type !== "cycle") {
+      return undefined;
+    }
+
+    const cycle = Object.assign({ submittedEntries: [], completedSteps: [] }, records[0]);
+    delete cycle.type;
+    records.slice(1).forEach(record => {
+      if (record.type === "submitted") {
+        cycle.submittedEntries.push(record.entryIndex);
+      } else if (record.type === "disputeStepDone") {
+        cycle.completedSteps.push(record.step);
+      }
+    });
+    return cycle;
+  }
+
+  /**
+   * Write to a file, and don't return until it's on disk
+   * @param {string} file    The file
+   * @param {string} content What to write
+   * @param {string} flags   `w` to replace the file, `a` to append to it
+   */
+  static writeSync(file, content, flags) {
+    const fd = fs.openSync(file, flags);
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+module.exports = ReputationJournal;
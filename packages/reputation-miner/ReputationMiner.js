@@ -1,13 +1,30 @@
 const BN = require("bn.js");
 const web3Utils = require("web3-utils");
-const ganache = require("ganache-core");
 const ethers = require("ethers");
-const patriciaJs = require("./patricia");
+const { createGanacheWallet, JsTreeBackend, SolidityTreeBackend } = require("./TreeBackend");
+const SkillTree = require("./SkillTree");
+const LogCache = require("./LogCache");
+const TransactionManager = require("./TransactionManager");
 
-// We don't need the account address right now for this secret key, but I'm leaving it in in case we
-// do in the future.
-// const accountAddress = "0xbb46703786c2049d4d6dd43f5b4edf52a20fefe4";
-const secretKey = "0xe5c050bb6bfdd9c29397b8fe6ed59ad2f7df83d6fd213b473f84b489205d9fc7";
+const ZERO_HASH = "0x0000000000000000000000000000000000000000000000000000000000000000";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Mirrors `withinTarget` in ReputationMiningCycle.sol. For the first hour of the submission window, an entry only qualifies if
+// `keccak256(submitter, entryIndex, hash) < (now - windowOpened) * SUBMISSION_TARGET_STEP`, where SUBMISSION_TARGET_STEP = floor((2**256 - 1) / 3600).
+// After that hour, every entry qualifies.
+const SUBMISSION_WINDOW_LENGTH = 3600;
+const SUBMISSION_TARGET_STEP = new BN("2")
+  .pow(new BN("256"))
+  .subn(1)
+  .divn(SUBMISSION_WINDOW_LENGTH);
+// Every 10**15 of CLNY staked allows one more entry (see `entryQualifies` in ReputationMiningCycle.sol)
+const STAKE_PER_ENTRY = new BN("10").pow(new BN("15"));
+// The contract accepts at most 12 submissions for any one hash, so there's no point in lining up more entries than that
+const MAX_SUBMISSIONS_PER_HASH = 12;
+// A big stake allows a huge number of entries, which we can't all hash locally. Only the ones with the lowest index are considered.
+const MAX_ENTRIES_CONSIDERED = 10000;
+// What nodes that don't keep the state of old blocks (geth, parity and the like, unless run as archive nodes) say when asked about one
+const MISSING_STATE_ERROR = /missing trie node|historical state|state (is )?(not available|unavailable)|pruning|pruned/i;
 
 // Adapted from https://github.com/ethers-io/ethers.js/issues/59
 // ===================================
@@ -61,29 +78,19 @@ function toHexString(bnLike) {
 class ReputationMiner {
   /**
    * Constructor for ReputationMiner
-   * @param {string} minerAddress            The address that is staking CLNY that will allow the miner to submit reputation hashes
+   * @param {string} minerAddress            The address that is staking CLNY that will allow the miner to submit reputation hashes.
+   *                                         Without it (or `privateKey`), the miner can only watch: it has nothing to send transactions with.
    * @param {Number} [realProviderPort=8545] The port that the RPC node with the ability to sign transactions from `minerAddress` is responding on. The address is assumed to be `localhost`.
+   * @param {Object} [nodeStore]             Where the Javascript reputation tree keeps its nodes (see NodeStore.js), if not in memory
    */
-  constructor({ loader, minerAddress, privateKey, provider, realProviderPort = 8545, useJsTree = false }) {
+  constructor({ loader, minerAddress, privateKey, provider, realProviderPort = 8545, useJsTree = false, nodeStore }) {
     this.loader = loader;
     this.minerAddress = minerAddress;
 
     this.useJsTree = useJsTree;
+    this.nodeStore = nodeStore;
     if (!this.useJsTree) {
-      const ganacheProvider = ganache.provider({
-        network_id: 515,
-        vmErrorsOnRPCResponse: false,
-        locked: false,
-        verbose: true,
-        accounts: [
-          {
-            balance: "0x10000000000000000000000000",
-            secretKey
-          }
-        ]
-      });
-      this.ganacheProvider = new ethers.providers.Web3Provider(ganacheProvider);
-      this.ganacheWallet = new ethers.Wallet(secretKey, this.ganacheProvider);
+      this.ganacheWallet = createGanacheWallet();
     }
 
     if (provider) {
@@ -94,10 +101,16 @@ class ReputationMiner {
 
     if (minerAddress) {
       this.realWallet = new RPCSigner(minerAddress, this.realProvider);
-    } else {
+    } else if (privateKey) {
       this.realWallet = new ethers.Wallet(privateKey, this.realProvider);
       // TODO: Check that this wallet can stake?
       console.log("Transactions will be signed from ", this.realWallet.address);
+    } else {
+      // Contracts are only read from, through the provider
+      this.realWallet = this.realProvider;
+    }
+    if (this.realWallet !== this.realProvider) {
+      this.txManager = new TransactionManager(this.realWallet);
     }
   }
 
@@ -109,49 +122,139 @@ class ReputationMiner {
   async initialise(colonyNetworkAddress) {
     this.colonyNetworkContractDef = await this.loader.load({ contractName: "IColonyNetwork" }, { abi: true, address: false });
     this.repCycleContractDef = await this.loader.load({ contractName: "IReputationMiningCycle" }, { abi: true, address: false });
+    // The interface doesn't have `submittedHashes`, which is the only way to find out who submitted a hash
+    this.repCycleImplementationContractDef = await this.loader.load({ contractName: "ReputationMiningCycle" }, { abi: true, address: false });
+    this.colonyContractDef = await this.loader.load({ contractName: "IColony" }, { abi: true, address: false });
+    this.tokenLockingContractDef = await this.loader.load({ contractName: "ITokenLocking" }, { abi: true, address: false });
+    this.tokenContractDef = await this.loader.load({ contractName: "Token" }, { abi: true, address: false });
 
     this.colonyNetwork = new ethers.Contract(colonyNetworkAddress, this.colonyNetworkContractDef.abi, this.realWallet);
+    this.skillTree = new SkillTree(this.colonyNetwork);
+    this.logCache = new LogCache(this.colonyNetwork, this.repCycleContractDef, this.realWallet);
 
-    if (this.useJsTree) {
-      this.reputationTree = new patriciaJs.PatriciaTree();
-    } else {
+    if (!this.useJsTree) {
       this.patriciaTreeContractDef = await this.loader.load({ contractName: "PatriciaTree" }, { abi: true, address: false, bytecode: true });
-      const patriciaTreeDeployTx = ethers.Contract.getDeployTransaction(this.patriciaTreeContractDef.bytecode, this.patriciaTreeContractDef.abi);
-      const tx = await this.ganacheWallet.sendTransaction(patriciaTreeDeployTx);
-      this.reputationTree = new ethers.Contract(ethers.utils.getContractAddress(tx), this.patriciaTreeContractDef.abi, this.ganacheWallet);
     }
+    await this.createReputationTree();
 
     this.nReputations = 0;
-    this.reputations = {};
+    // The key of the reputation that was added last, i.e. the one with the highest UID, for `getNewestReputationProofObject`
+    this.newestReputationKey = undefined;
+  }
+
+  /**
+   * Create a new, empty tree with the backend we've been told to use (see TreeBackend.js)
+   * @param  {Object}  [nodeStore] Where the nodes of the tree should be kept, if it's a Javascript tree and not in memory
+   * @return {Promise}             Resolves to the tree
+   */
+  async createTree(nodeStore) {
+    if (this.useJsTree) {
+      return new JsTreeBackend({ nodeStore });
+    }
+    return SolidityTreeBackend.deploy(this.patriciaTreeContractDef, this.ganacheWallet);
+  }
+
+  /**
+   * Replace the reputation tree with a new, empty one. This doesn't touch `nReputations`.
+   * @return {Promise}
+   */
+  async createReputationTree() {
+    this.reputationTree = await this.createTree(this.nodeStore);
+  }
+
+  /**
+   * Replace the reputation state with `reputations`, e.g. ones read from a file
+   * @param  {Object}  reputations The reputations, by key, as `getReputations` gives them
+   * @return {Promise}
+   */
+  async setReputations(reputations) {
+    const keys = Object.keys(reputations);
+    await this.createReputationTree();
+    await this.reputationTree.insertMany(keys.map(key => [key, reputations[key]]));
+    this.nReputations = keys.length;
+    this.newestReputationKey = keys.find(key => ReputationMiner.decodeValue(reputations[key]).uid === String(this.nReputations));
+  }
+
+  /**
+   * Replace the reputation state with the one in a snapshot of the reputation tree, as its `snapshot` gave it. Rejects, leaving the
+   * state as it was, if the snapshot doesn't check out.
+   * @param  {Object}  snapshot The snapshot
+   * @return {Promise}
+   */
+  async restoreReputationTree(snapshot) {
+    await this.reputationTree.restore(snapshot);
+    this.nReputations = await this.reputationTree.size();
+    this.newestReputationKey = await this.getKeyForUID(this.nReputations);
+  }
+
+  /**
+   * Call a function with every reputation in the current state, reading them out of the reputation tree one at a time
+   * @param  {Function} callback Called as `callback(key, value)`
+   * @return {Promise}
+   */
+  async forEachReputation(callback) {
+    await this.reputationTree.forEach(callback);
+  }
+
+  /**
+   * Get every reputation in the current state. The reputation tree is the only place they are kept, so this reads all of them out of it
+   * into memory; prefer `forEachReputation` where that will do.
+   * @return {Promise} Resolves to the reputations, by key
+   */
+  async getReputations() {
+    const reputations = {};
+    await this.forEachReputation((key, value) => {
+      reputations[key] = value;
+    });
+    return reputations;
+  }
+
+  /**
+   * Find the reputation with a UID. Reputations are only kept by key, so this looks through all of them.
+   * @param  {Number}  uid The UID
+   * @return {Promise}     Resolves to the key of the reputation, or `undefined` if none has that UID
+   */
+  async getKeyForUID(uid) {
+    let found;
+    await this.forEachReputation((key, value) => {
+      if (found === undefined && ReputationMiner.decodeValue(value).uid === String(uid)) {
+        found = key;
+      }
+    });
+    return found;
   }
 
   /**
    * When called, adds the entire contents of the current (active) log to its reputation tree. It also builds a Justification Tree as it does so
    * in case a dispute is called which would require it.
-   * @return {Promise}
+   * @return {Promise} Rejects without processing anything if the local state isn't the one currently accepted on chain
    */
   async addLogContentsToReputationTree() {
-    if (this.useJsTree) {
-      this.justificationTree = new patriciaJs.PatriciaTree();
-    } else {
-      const patriciaTreeDeployTx = ethers.Contract.getDeployTransaction(this.patriciaTreeContractDef.bytecode, this.patriciaTreeContractDef.abi);
-      const tx = await this.ganacheWallet.sendTransaction(patriciaTreeDeployTx);
-      this.justificationTree = new ethers.Contract(ethers.utils.getContractAddress(tx), this.patriciaTreeContractDef.abi, this.ganacheWallet);
-    }
+    // We're starting on a new cycle, whose log we haven't cached yet
+    this.logCache.invalidate();
+    this.justificationTree = await this.createTree();
 
     this.justificationHashes = {};
-    const addr = await this.colonyNetwork.getReputationMiningCycle(true);
-    const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.realWallet);
+    await this.skillTree.update();
+    const repCycle = await this.logCache.getRepCycle();
+    const addr = repCycle.address;
 
-    let nLogEntries = await repCycle.getReputationUpdateLogLength();
-    nLogEntries = new BN(nLogEntries.toString());
+    // The log of the active cycle has to be applied to the state ColonyNetwork currently accepts. If we start from anything else,
+    // we'd build a justification tree we can't defend, so we don't go any further (and won't submit) until the state is resynced.
+    const startingStateCorrect = await this.isStartingStateCorrect();
+    if (!startingStateCorrect) {
+      this.divergedCycle = addr;
+      throw new Error(`Local reputation state does not match the one accepted on chain before the mining cycle at ${addr}, resync before mining`);
+    }
+    this.divergedCycle = undefined;
 
-    for (let i = new BN("0"); i.lt(nLogEntries); i.iadd(new BN("1"))) {
-      const logEntry = await repCycle.getReputationUpdateLogEntry(i.toString()); // eslint-disable-line no-await-in-loop
-      await this.addSingleLogEntry(logEntry); // eslint-disable-line no-await-in-loop
+    this.beginCycleUpdates();
+    const logEntries = await this.logCache.getLogEntries();
+    for (let i = 0; i < logEntries.length; i += 1) {
+      await this.addSingleLogEntry(logEntries[i], i); // eslint-disable-line no-await-in-loop
     }
 
-    const lastLogEntry = await repCycle.getReputationUpdateLogEntry(nLogEntries.subn(1).toString());
+    const lastLogEntry = logEntries[logEntries.length - 1];
     const totalnUpdates = new BN(lastLogEntry[4].add(lastLogEntry[5]).toString());
     const prevKey = await this.getKeyForUpdateNumber(totalnUpdates.subn(1));
     const justUpdatedProof = await this.getReputationProofObject(prevKey);
@@ -159,7 +262,7 @@ class ReputationMiner {
     const interimHash = await this.reputationTree.getRootHash(); // eslint-disable-line no-await-in-loop
     const jhLeafValue = this.getJRHEntryValueAsBytes(interimHash, this.nReputations);
     const nextUpdateProof = {};
-    await this.justificationTree.insert(`0x${totalnUpdates.toString(16, 64)}`, jhLeafValue, { gasLimit: 4000000 }); // eslint-disable-line no-await-in-loop
+    await this.justificationTree.insert(`0x${totalnUpdates.toString(16, 64)}`, jhLeafValue); // eslint-disable-line no-await-in-loop
 
     this.justificationHashes[`0x${totalnUpdates.toString(16, 64)}`] = JSON.parse(
       JSON.stringify({
@@ -173,17 +276,283 @@ class ReputationMiner {
     );
   }
 
+  /**
+   * Check that the local reputation state is the one that `ColonyNetwork` currently accepts, by comparing our root hash and number of nodes
+   * with `getReputationRootHash` and `getReputationRootHashNNodes`.
+   * @return {Promise} Resolves to `true` if both match, `false` otherwise
+   */
+  async isStartingStateCorrect() {
+    const acceptedHash = await this.colonyNetwork.getReputationRootHash();
+    const acceptedNNodes = await this.colonyNetwork.getReputationRootHashNNodes();
+    const localHash = await this.getRootHash();
+    return localHash === acceptedHash && acceptedNNodes.eq(this.nReputations);
+  }
+
   /**
    * Function called by `addLogContentsToReputationTree` to process a single log entry, updating the reputation tree and the justification tree
    * as it does so.
-   * @param  {Object}  logEntry    The log entry to process.
+   * @param  {Object}  logEntry        The log entry to process.
+   * @param  {Number}  [logEntryIndex] The index of the log entry in the log, to note as the source of the reputations it changes
+   * @return {Promise}
+   */
+  async addSingleLogEntry(logEntry, logEntryIndex) {
+    const nUpdates = new BN(logEntry[4].toString());
+    for (let j = new BN("0"); j.lt(nUpdates); j.iadd(new BN("1"))) {
+      await this.addSingleReputationUpdate(j, logEntry, logEntryIndex); // eslint-disable-line no-await-in-loop
+    }
+  }
+
+  /**
+   * Get every reputation root hash `ColonyNetwork` has confirmed in a range of blocks, oldest first. Rather than from an event, these are
+   * read from the state of `ColonyNetwork` in past blocks, so they go back to the very first cycle: a cycle was confirmed in the block in
+   * which it stopped being the active one, and what it confirmed is the root hash `ColonyNetwork` had at the end of that block.
+   * @param  {Number}  [fromBlock=0]      The first block to look in
+   * @param  {Number}  [toBlock="latest"] The last block to look in
+   * @return {Promise}                    Resolves to an array of `{ hash, nNodes, blockNumber }`, with `nNodes` as a Number
+   */
+  async getConfirmedRootHashes(fromBlock = 0, toBlock = "latest") {
+    const lastBlock = toBlock === "latest" ? await this.realProvider.getBlockNumber() : toBlock;
+    const activeCycleAt = async blockNumber => {
+      const addr = await this.callAtBlock(this.colonyNetwork, "getReputationMiningCycle", [true], blockNumber);
+      // Before `ColonyNetwork` was deployed, there's not even a contract to ask
+      return addr === undefined ? ZERO_ADDRESS : addr.toLowerCase();
+    };
+    const confirmations = [];
+    if (lastBlock < fromBlock) {
+      return confirmations;
+    }
+
+    // We start from the state before `fromBlock`, so that a cycle confirmed in `fromBlock` itself is found too
+    let block = Math.max(fromBlock - 1, 0);
+    let cycle = await activeCycleAt(block);
+    const lastCycle = await activeCycleAt(lastBlock);
+    while (cycle !== lastCycle) {
+      // A cycle is never active again once it's been confirmed, so we can find the block it was confirmed in by striding ahead (cycles
+      // last at least an hour, so the strides soon get long) until it isn't active any more, and then bisecting the last stride.
+      let low = block;
+      let high = lastBlock;
+      for (let stride = 1; low + stride < high; stride *= 2) {
+        const strideCycle = await activeCycleAt(low + stride); // eslint-disable-line no-await-in-loop
+        if (strideCycle !== cycle) {
+          high = low + stride;
+          break;
+        }
+        low += stride;
+      }
+      while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        const midCycle = await activeCycleAt(mid); // eslint-disable-line no-await-in-loop
+        if (midCycle === cycle) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+
+      // The very first cycle is started when mining is set up, rather than by one being confirmed
+      if (cycle !== ZERO_ADDRESS) {
+        const hash = await this.callAtBlock(this.colonyNetwork, "getReputationRootHash", [], high); // eslint-disable-line no-await-in-loop
+        const nNodes = await this.callAtBlock(this.colonyNetwork, "getReputationRootHashNNodes", [], high); // eslint-disable-line no-await-in-loop
+        confirmations.push({ hash, nNodes: nNodes.toNumber(), blockNumber: high });
+      }
+      block = high;
+      cycle = await activeCycleAt(high); // eslint-disable-line no-await-in-loop
+    }
+    return confirmations;
+  }
+
+  /**
+   * Rebuild the reputation state by replaying the update log of every mining cycle completed since `blockNumber`, starting from the
+   * current local state (which is empty for a freshly initialised miner, i.e. the state before the very first cycle).
+   * After each cycle, the local root hash and number of nodes are checked against what `ColonyNetwork` accepted.
+   * @param  {Number}   [blockNumber=0]  The block to start replaying from
+   * @param  {Function} [onCycleReplayed] Called (and awaited) after each cycle with `{ hash, nNodes, blockNumber }` of the confirmation,
+   *                                      while the local state is the one that was confirmed
+   * @return {Promise}                   Resolves to the number of cycles replayed. Rejects if the local state diverges from the chain,
+   *                                     or if the node isn't an archive node (see `callAtBlock`).
+   */
+  async sync(blockNumber = 0, onCycleReplayed = undefined) {
+    await this.skillTree.update();
+    const confirmations = await this.getConfirmedRootHashes(blockNumber);
+
+    for (let i = 0; i < confirmations.length; i += 1) {
+      const { hash, nNodes } = confirmations[i];
+      // The cycle that was just completed self-destructed in that block, so we read its log as it was in the block before.
+      const cycleBlock = confirmations[i].blockNumber - 1;
+      const addr = await this.callAtBlock(this.colonyNetwork, "getReputationMiningCycle", [true], cycleBlock); // eslint-disable-line no-await-in-loop
+      const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.realWallet);
+      const nLogEntries = await this.callAtBlock(repCycle, "getReputationUpdateLogLength", [], cycleBlock); // eslint-disable-line no-await-in-loop
+
+      // Nobody needs the reputation state in between the updates of a completed cycle, so they can all go into the tree in one go
+      this.beginCycleUpdates();
+      this.beginBatch();
+      for (let j = 0; j < nLogEntries.toNumber(); j += 1) {
+        const logEntry = await this.callAtBlock(repCycle, "getReputationUpdateLogEntry", [j], cycleBlock); // eslint-disable-line no-await-in-loop
+        await this.applyLogEntry(logEntry, j); // eslint-disable-line no-await-in-loop
+      }
+      await this.commitBatch(); // eslint-disable-line no-await-in-loop
+
+      const localHash = await this.getRootHash(); // eslint-disable-line no-await-in-loop
+      if (localHash !== hash || this.nReputations !== nNodes) {
+        throw new Error(
+          `Local reputation state diverged from the chain in the cycle confirmed in block ${confirmations[i].blockNumber}: ` +
+            `expected ${hash} with ${nNodes} nodes, got ${localHash} with ${this.nReputations} nodes`
+        );
+      }
+      if (onCycleReplayed) {
+        await onCycleReplayed(confirmations[i]); // eslint-disable-line no-await-in-loop
+      }
+    }
+    return confirmations.length;
+  }
+
+  /**
+   * Apply every reputation update that a single log entry implies to the local reputation state. Unlike `addSingleLogEntry`,
+   * this doesn't build a justification tree, which only matters for the cycle we are going to submit a hash for.
+   * @param  {Object}  logEntry        The log entry to process.
+   * @param  {Number}  [logEntryIndex] The index of the log entry in the log, to note as the source of the reputations it changes
    * @return {Promise}
    */
-  async addSingleLogEntry(logEntry) {
+  async applyLogEntry(logEntry, logEntryIndex) {
     const nUpdates = new BN(logEntry[4].toString());
     for (let j = new BN("0"); j.lt(nUpdates); j.iadd(new BN("1"))) {
-      await this.addSingleReputationUpdate(j, logEntry); // eslint-disable-line no-await-in-loop
+      const updateNumber = new BN(logEntry[5].toString()).add(j);
+      const score = this.getScore(updateNumber, logEntry);
+      const [skillId, skillAddress] = await this.getSkillIdAndAddressForUpdateInLogEntry(j, logEntry); // eslint-disable-line no-await-in-loop
+      await this.insert(logEntry[3], skillId, skillAddress, score, updateNumber); // eslint-disable-line no-await-in-loop
+      await this.addSource(logEntryIndex, logEntry, skillId, skillAddress, score); // eslint-disable-line no-await-in-loop
+    }
+  }
+
+  /**
+   * Start collecting the reputations that `insert` changes, instead of inserting each of them into the reputation tree straight away.
+   * The reputations themselves are still updated as usual, but the root hash (and any proof) is out of date until `commitBatch`.
+   */
+  beginBatch() {
+    // The value of every reputation changed in the batch, by key
+    this.batch = new Map();
+  }
+
+  /**
+   * Insert every reputation changed since `beginBatch` into the reputation tree. The Javascript tree takes them all at once, and only
+   * hashes each node that changed once.
+   * @return {Promise}
+   */
+  async commitBatch() {
+    const { batch } = this;
+    this.batch = undefined;
+    await this.reputationTree.insertMany([...batch]);
+  }
+
+  /**
+   * Get the value of a reputation in the current reputation state. The reputation tree is where the state is kept, but a reputation changed
+   * since `beginBatch` isn't in the tree until `commitBatch`.
+   * @param  {string}  key The key of the reputation
+   * @return {Promise}     Resolves to the value, or `undefined` if there is no such reputation
+   */
+  async getReputation(key) {
+    if (this.batch !== undefined && this.batch.has(key)) {
+      return this.batch.get(key);
     }
+    return this.reputationTree.get(key);
+  }
+
+  /**
+   * Restore the justification tree of the cycle whose log was processed last, e.g. after a restart, so we can still defend the hash
+   * we built from it
+   * @param  {Object}  justificationHashes What `justificationHashes` held after processing the log
+   * @return {Promise}                     Resolves to the root hash of the justification tree
+   */
+  async restoreJustificationTree(justificationHashes) {
+    this.justificationTree = await this.createTree();
+    this.justificationHashes = justificationHashes;
+    await this.justificationTree.insertMany(Object.keys(justificationHashes).map(key => [key, justificationHashes[key].jhLeafValue]));
+    return this.justificationTree.getRootHash();
+  }
+
+  /**
+   * Start keeping track of the reputations `insert` changes, for `getCycleUpdates`. This is done at the start of every cycle's log.
+   */
+  beginCycleUpdates() {
+    // The value of every reputation changed so far, as it was before the first change (`undefined` for a new reputation)
+    this.previousValues = {};
+    // The log entries that changed each of them, from `addSource`
+    this.sources = {};
+  }
+
+  /**
+   * Note that a log entry changed a reputation, for `getCycleUpdates`
+   * @param  {Number}  logEntryIndex The index of the log entry in the log. If `undefined`, nothing is noted.
+   * @param  {Object}  logEntry      The log entry
+   * @param  {BN}      skillId       The skill of the reputation it changed, which is the skill of the log entry or one of its parents or children
+   * @param  {string}  userAddress   The user of the reputation it changed, which is the user of the log entry or 0x0 for the colony-wide one
+   * @param  {BN}      amount        What the log entry added to the reputation (which is capped, so the reputation may have changed by less)
+   * @return {Promise}
+   */
+  async addSource(logEntryIndex, logEntry, skillId, userAddress, amount) {
+    if (this.sources === undefined || logEntryIndex === undefined) {
+      return;
+    }
+    const key = await ReputationMiner.getKey(logEntry[3], skillId, userAddress);
+    if (this.sources[key] === undefined) {
+      this.sources[key] = [];
+    }
+    this.sources[key].push({
+      logEntryIndex: Number(logEntryIndex),
+      userAddress: logEntry[0].toLowerCase(),
+      colonyAddress: logEntry[3].toLowerCase(),
+      skillId: logEntry[2].toString(),
+      amount: amount.toString()
+    });
+  }
+
+  /**
+   * Get what changed in the reputations since `beginCycleUpdates`, i.e. what the log of the cycle processed last did to them
+   * @return {Array} An entry for every reputation changed, ordered by key, as `{ key, colonyAddress, skillId, userAddress, delta, amount, sources }`.
+   *                 `delta` is the change in the amount (which can be negative), and `amount` the amount now, as decimal strings. `sources`
+   *                 are the log entries that changed it, as `{ logEntryIndex, userAddress, colonyAddress, skillId, amount }`, where
+   *                 `colonyAddress`, `skillId` and `userAddress` are those of the log entry.
+   * @return {Promise} Resolves to the entries
+   */
+  async getCycleUpdates() {
+    const keys = Object.keys(this.previousValues || {}).sort();
+    const values = await Promise.all(keys.map(key => this.getReputation(key)));
+    return keys.map((key, i) => {
+      const previousValue = this.previousValues[key];
+      const { amount } = ReputationMiner.decodeValue(values[i]);
+      const previousAmount = previousValue === undefined ? "0" : ReputationMiner.decodeValue(previousValue).amount;
+      const delta = new BN(amount).sub(new BN(previousAmount)).toString();
+      return Object.assign({ key }, ReputationMiner.decodeKey(key), { delta, amount, sources: this.sources[key] || [] });
+    });
+  }
+
+  /**
+   * Call a constant function on `contract` as it was at the end of block `blockNumber`. This needs a node that keeps historical state.
+   * @param  {Contract}  contract   The contract to call
+   * @param  {string}    methodName The name of the function to call
+   * @param  {Array}     params     The arguments to pass to the function
+   * @param  {Number}    blockNumber The block whose state should be used
+   * @return {Promise}              Resolves to the decoded result, in the same form a regular call on `contract` would give, or to
+   *                                 `undefined` if there was no contract at that address (or it returned nothing) in that block.
+   *                                 Rejects with `archiveNodeRequired` set if the node no longer has the state of that block.
+   */
+  async callAtBlock(contract, methodName, params, blockNumber) {
+    const call = contract.interface.functions[methodName](...params);
+    let data;
+    try {
+      data = await this.realProvider.send("eth_call", [{ to: contract.address, data: call.data }, `0x${blockNumber.toString(16)}`]);
+    } catch (err) {
+      if (MISSING_STATE_ERROR.test(err.message)) {
+        err.message = `Reading the state of block ${blockNumber} needs an archive node, and this one has pruned it: ${err.message}`;
+        err.archiveNodeRequired = true;
+      }
+      throw err;
+    }
+    if (data === "0x") {
+      return undefined;
+    }
+    const result = call.parse(data);
+    return result.length === 1 ? result[0] : result;
   }
 
   /**
@@ -193,27 +562,21 @@ class ReputationMiner {
    * @param  {[type]}  logEntry The log entry describing the reputation change to be applied
    * @return {Promise}
    */
-  async addSingleReputationUpdate(j, logEntry) {
-    let interimHash;
-    let jhLeafValue;
+  async addSingleReputationUpdate(j, logEntry, logEntryIndex) {
     let justUpdatedProof;
     let newestReputationProof;
-    interimHash = await this.reputationTree.getRootHash(); // eslint-disable-line no-await-in-loop
-    jhLeafValue = this.getJRHEntryValueAsBytes(interimHash, this.nReputations);
+    const interimHash = await this.reputationTree.getRootHash(); // eslint-disable-line no-await-in-loop
+    const jhLeafValue = this.getJRHEntryValueAsBytes(interimHash, this.nReputations);
     const updateNumber = new BN(logEntry[5].add(j).toString());
     const score = this.getScore(updateNumber, logEntry);
 
-    if (updateNumber.toString() === "0") {
-      // TODO If it's not already this value, then something has gone wrong, and we're working with the wrong state.
-      // This 'if' statement is only in for now to make tests easier to write.
-      interimHash = await this.colonyNetwork.getReputationRootHash(); // eslint-disable-line no-await-in-loop
-      jhLeafValue = this.getJRHEntryValueAsBytes(interimHash, this.nReputations);
-    } else {
+    // For update number 0, interimHash is the state accepted on chain, which `addLogContentsToReputationTree` checked we start from.
+    if (!updateNumber.isZero()) {
       const prevKey = await this.getKeyForUpdateNumber(updateNumber.subn(1));
       justUpdatedProof = await this.getReputationProofObject(prevKey);
       newestReputationProof = await this.getNewestReputationProofObject(updateNumber);
     }
-    await this.justificationTree.insert(`0x${updateNumber.toString(16, 64)}`, jhLeafValue, { gasLimit: 4000000 }); // eslint-disable-line no-await-in-loop
+    await this.justificationTree.insert(`0x${updateNumber.toString(16, 64)}`, jhLeafValue); // eslint-disable-line no-await-in-loop
 
     const key = await this.getKeyForUpdateNumber(updateNumber);
     const nextUpdateProof = await this.getReputationProofObject(key);
@@ -231,10 +594,12 @@ class ReputationMiner {
 
     const [skillId, skillAddress] = await this.getSkillIdAndAddressForUpdateInLogEntry(j, logEntry); // eslint-disable-line no-await-in-loop
 
-    // TODO: Include updates for all child skills if x.amount is negative
     // We update colonywide sums first (children, parents, skill)
     // Then the user-specifc sums in the order children, parents, skill.
+    // Children are only updated if the amount in the log entry is negative, and each of them loses the full amount (never going
+    // below zero), which is what `performReputationCalculation` in ReputationMiningCycle.sol checks a disputed update against.
     await this.insert(logEntry[3], skillId, skillAddress, score, updateNumber); // eslint-disable-line no-await-in-loop
+    await this.addSource(logEntryIndex, logEntry, skillId, skillAddress, score);
   }
 
   /**
@@ -249,7 +614,7 @@ class ReputationMiner {
 
     try {
       [branchMask, siblings] = await this.getProof(key); // eslint-disable-line no-await-in-loop
-      value = this.reputations[key];
+      value = await this.reputationTree.get(key);
     } catch (err) {
       // Doesn't exist yet.
       branchMask = 0x0;
@@ -287,16 +652,38 @@ class ReputationMiner {
     return key;
   }
 
+  /**
+   * Split a key of the reputation tree into the parts `getKey` made it from
+   * @param  {string} key The key
+   * @return {Object}     `{ colonyAddress, skillId, userAddress }`, with the skill id as a decimal string
+   */
+  static decodeKey(key) {
+    return {
+      colonyAddress: `0x${key.slice(2, 42)}`,
+      skillId: new BN(key.slice(42, 106), 16).toString(),
+      userAddress: `0x${key.slice(106, 146)}`
+    };
+  }
+
+  /**
+   * Split a value of the reputation tree into the parts `getValueAsBytes` made it from
+   * @param  {string} value The value
+   * @return {Object}       `{ amount, uid }`, as decimal strings
+   */
+  static decodeValue(value) {
+    return {
+      amount: new BN(value.slice(2, 66), 16).toString(),
+      uid: new BN(value.slice(66, 130), 16).toString()
+    };
+  }
+
   /**
    * For the supplied log entry, return the key in the reputation log that is affected by the update.
    * @param  {[type]}  i The index of the entry of interest in the reputation log.
    * @return {Promise}   A promise that resolves to the key of the corresponding reputation.
    */
   async getKeyForLogEntry(i) {
-    const addr = await this.colonyNetwork.getReputationMiningCycle(true);
-    const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.realWallet);
-
-    const logEntry = await repCycle.getReputationUpdateLogEntry(i); // eslint-disable-line no-await-in-loop
+    const logEntry = await this.logCache.getLogEntry(i);
     const colonyAddress = logEntry[3].slice(2);
     const skillId = logEntry[2];
     const userAddress = logEntry[0].slice(2);
@@ -314,39 +701,13 @@ class ReputationMiner {
    * @return {Promise}   A promise that resolves to the number of the corresponding log entry.
    */
   async getLogEntryNumberForUpdateNumber(_i) {
-    const updateNumber = new BN(_i.toString());
-    const addr = await this.colonyNetwork.getReputationMiningCycle(true);
-    const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.realWallet);
-    const nLogEntries = await repCycle.getReputationUpdateLogLength();
-    let lower = new BN("0");
-    let upper = new BN(nLogEntries.toString()).subn(1);
-
-    while (!upper.eq(lower)) {
-      const testIdx = lower.add(upper.sub(lower).divn(2));
-      const testLogEntry = await repCycle.getReputationUpdateLogEntry(testIdx); // eslint-disable-line no-await-in-loop
-      if (new BN(testLogEntry[5].toString()).gt(updateNumber)) {
-        upper = testIdx.subn(1);
-      } else if (
-        new BN(testLogEntry[5].toString()).lte(updateNumber) &&
-        new BN(testLogEntry[5].toString()).add(new BN(testLogEntry[4].toString())).gt(updateNumber)
-      ) {
-        upper = testIdx;
-        lower = testIdx;
-      } else {
-        lower = testIdx.addn(1);
-      }
-    }
-
-    return lower;
+    return this.logCache.getLogEntryNumberForUpdateNumber(_i);
   }
 
   async getKeyForUpdateNumber(_i) {
     const updateNumber = new BN(_i.toString());
     const logEntryNumber = await this.getLogEntryNumberForUpdateNumber(updateNumber);
-    const addr = await this.colonyNetwork.getReputationMiningCycle(true);
-    const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.realWallet);
-
-    const logEntry = await repCycle.getReputationUpdateLogEntry(logEntryNumber.toString());
+    const logEntry = await this.logCache.getLogEntry(logEntryNumber);
 
     const [skillId, userAddress] = await this.getSkillIdAndAddressForUpdateInLogEntry(updateNumber.sub(new BN(logEntry[5].toString())), logEntry);
     const key = `0x${new BN(logEntry[3].slice(2), 16).toString(16, 40)}${new BN(skillId.toString()).toString(16, 64)}${new BN(
@@ -361,7 +722,10 @@ class ReputationMiner {
    * If updateNumber is in the first half of the number of updates logEntry implies, `skillAddress` is 0x0, as
    * this corresponds to a colony-wide total amount of reputation being update. Otherwise, `skillAddress` is the
    * address of the user in the log entry.
-   * The skillId depends on whether it is a child, parent or the skill listed in the log entry itself being updated.
+   * The skillId depends on whether it is a child, parent or the skill listed in the log entry itself being updated. Within each half,
+   * updates are ordered children, then parents, then the skill itself, mirroring `getExpectedSkillIdAndAddress` in ReputationMiningCycle.sol.
+   * There are only child updates if the amount in the log entry is negative, in which case the first `nUpdates / 2 - 1 - nParents`
+   * updates of each half are to the skill's children, in the order `getChildSkillId` returns them.
    * @param  {BigNumber}  _updateNumber The number of the update the log entry implies we want the information for. Must be less than logEntry[4].
    * @param  {LogEntry}  logEntry An array six long, containing the log entry in question [userAddress, amount, skillId, colony, nUpdates, nPreviousUpdates ]
    * @return {Promise}              Promise that resolves to [skillId, address]
@@ -379,15 +743,19 @@ class ReputationMiner {
       // Following the destructuring rule, this line would be [skillAddress] = logEntry, which I think is very misleading
     }
     const nUpdates = new BN(logEntry[4].toString());
-    const score = this.getScore(updateNumber, logEntry);
+    // Whether there are child updates depends on the amount in the log itself, like it does in the contract
+    const amount = new BN(logEntry[1].toString());
 
-    let [nParents] = await this.colonyNetwork.getSkill(logEntry[2]);
-    nParents = new BN(nParents.toString());
+    if (!this.skillTree.hasSkill(logEntry[2])) {
+      // The skill was added since we last brought our skill tree up to date
+      await this.skillTree.update();
+    }
+    const nParents = new BN(this.skillTree.getSkill(logEntry[2]).nParents);
     let skillId;
     // NB This is not necessarily the same as nChildren. However, this is the number of child updates
     // that this entry in the log was expecting at the time it was created.
     let nChildUpdates;
-    if (score.gte(new BN("0"))) {
+    if (amount.gten(0)) {
       nChildUpdates = new BN("0");
     } else {
       nChildUpdates = nUpdates
@@ -406,10 +774,10 @@ class ReputationMiner {
 
     if (skillIndex.lt(nChildUpdates)) {
       // Then the skill being updated is the skillIndex-th child skill
-      skillId = await this.colonyNetwork.getChildSkillId(logEntry[2].toString(), skillIndex.toString());
+      skillId = this.skillTree.getChildSkillId(logEntry[2], skillIndex);
     } else if (skillIndex.lt(nChildUpdates.add(nParents))) {
       // Then the skill being updated is the skillIndex-nChildUpdates-th parent skill
-      skillId = await this.colonyNetwork.getParentSkillId(logEntry[2].toString(), skillIndex.sub(nChildUpdates).toString());
+      skillId = this.skillTree.getParentSkillId(logEntry[2], skillIndex.sub(nChildUpdates));
     } else {
       // Then the skill being update is the skill itself - not a parent or child
       skillId = logEntry[2]; // eslint-disable-line prefer-destructuring
@@ -461,22 +829,139 @@ class ReputationMiner {
   // eslint-disable-next-line no-unused-vars
   async getNewestReputationProofObject(i) {
     // i is unused here, but is used in the Malicious3 mining client.
-    const key = Object.keys(this.reputations)[this.nReputations - 1];
-    return this.getReputationProofObject(key);
+    return this.getReputationProofObject(this.newestReputationKey);
   }
 
   /**
    * Submit what the client believes should be the next reputation state root hash to the `ReputationMiningCycle` contract
-   * @return {Promise}
+   * @param  {Number or BigNumber}  [entryIndex] The entry to submit the hash with. Defaults to the earliest entry that is eligible right now.
+   * @return {Promise}                            Resolves to the tx hash once it has been mined
    */
-  async submitRootHash() {
-    const addr = await this.colonyNetwork.getReputationMiningCycle(true);
-    const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.realWallet);
+  async submitRootHash(entryIndex) {
+    if (this.divergedCycle !== undefined) {
+      throw new Error(`Refusing to submit a hash built on a local reputation state that diverged before the mining cycle at ${this.divergedCycle}`);
+    }
+    const repCycle = await this.logCache.getRepCycle();
 
     const hash = await this.getRootHash();
-    // TODO: Work out what entry we should use when we submit
-    const gas = await repCycle.estimate.submitRootHash(hash, this.nReputations, 1);
-    return repCycle.submitRootHash(hash, this.nReputations, 1, { gasLimit: `0x${gas.mul(2).toString()}` });
+    let entry = entryIndex;
+    if (entry === undefined) {
+      const block = await this.realProvider.getBlock("latest");
+      const [earliestEntry] = await this.getEntrySchedule(hash);
+      if (earliestEntry === undefined || earliestEntry.timestamp > block.timestamp) {
+        throw new Error("No entry is eligible to submit this hash yet");
+      }
+      ({ entryIndex: entry } = earliestEntry);
+    }
+    return this.txManager.send(repCycle, "submitRootHash", [hash, this.nReputations, entry.toString()]);
+  }
+
+  /**
+   * Get the number of entries our current stake allows us to use in each mining cycle.
+   * @return {Promise} Resolves to the number of entries as a BN. Valid entry indices run from 1 up to and including this number.
+   */
+  async getNumberOfEntries() {
+    const { clny, tokenLocking } = await this.getStakingContracts();
+    const [, balance] = await tokenLocking.getUserLock(clny.address, this.realWallet.address);
+    return new BN(balance.toString()).div(STAKE_PER_ENTRY);
+  }
+
+  /**
+   * Get the CLNY token, and the `TokenLocking` contract that miners stake it in
+   * @return {Promise} Resolves to `{ clny, tokenLocking }`, as ethers `Contract`s
+   */
+  async getStakingContracts() {
+    const tokenLockingAddress = await this.colonyNetwork.getTokenLocking();
+    const tokenLocking = new ethers.Contract(tokenLockingAddress, this.tokenLockingContractDef.abi, this.realWallet);
+    const metaColonyAddress = await this.colonyNetwork.getMetaColony();
+    const metaColony = new ethers.Contract(metaColonyAddress, this.colonyContractDef.abi, this.realWallet);
+    const clnyAddress = await metaColony.getToken();
+    const clny = new ethers.Contract(clnyAddress, this.tokenContractDef.abi, this.realWallet);
+    return { clny, tokenLocking };
+  }
+
+  /**
+   * Get our stake, and what it allows us to do
+   * @return {Promise} Resolves to `{ staked, unstaked, entries, locked, submittedHash }`. `staked` is the CLNY we have staked and
+   *                   `unstaked` the CLNY we hold but haven't staked, as BNs. `entries` is the number of entries the stake allows us in
+   *                   each mining cycle. `locked` is whether a colony has locked our CLNY, which stops us staking or withdrawing any until
+   *                   we've unlocked it there. `submittedHash` is the hash we've submitted to the current mining cycle, which stops us
+   *                   withdrawing until the cycle is confirmed, or `undefined` if we haven't.
+   */
+  async getStake() {
+    const { clny, tokenLocking } = await this.getStakingContracts();
+    const [lockCount, balance] = await tokenLocking.getUserLock(clny.address, this.realWallet.address);
+    const totalLockCount = await tokenLocking.getTotalLockCount(clny.address);
+    const unstaked = await clny.balanceOf(this.realWallet.address);
+    const repCycleAddress = await this.colonyNetwork.getReputationMiningCycle(true);
+    const repCycle = new ethers.Contract(repCycleAddress, this.repCycleContractDef.abi, this.realWallet);
+    const [submittedHash] = await repCycle.getReputationHashSubmissions(this.realWallet.address);
+
+    const staked = new BN(balance.toString());
+    return {
+      staked,
+      unstaked: new BN(unstaked.toString()),
+      entries: staked.div(STAKE_PER_ENTRY),
+      // Mirrors `tokenNotLocked` in TokenLocking.sol
+      locked: !staked.isZero() && !lockCount.eq(totalLockCount),
+      submittedHash: submittedHash === ZERO_HASH ? undefined : submittedHash
+    };
+  }
+
+  /**
+   * Stake CLNY, approving the `TokenLocking` contract to take it first if it isn't already allowed to
+   * @param  {BN}      amount The amount of CLNY to stake
+   * @return {Promise}        Resolves to the hash of the deposit transaction once it has been mined
+   */
+  async stake(amount) {
+    const { clny, tokenLocking } = await this.getStakingContracts();
+    const allowance = await clny.allowance(this.realWallet.address, tokenLocking.address);
+    if (new BN(allowance.toString()).lt(amount)) {
+      await this.txManager.send(clny, "approve", [tokenLocking.address, amount.toString()], { description: "CLNY approval" });
+    }
+    return this.txManager.send(tokenLocking, "deposit", [clny.address, amount.toString()]);
+  }
+
+  /**
+   * Withdraw staked CLNY. Check `getStake` first: the withdrawal reverts while our CLNY is locked, or while we have a hash submitted.
+   * @param  {BN}      amount The amount of CLNY to withdraw
+   * @return {Promise}        Resolves to the hash of the withdrawal transaction once it has been mined
+   */
+  async unstake(amount) {
+    const { clny, tokenLocking } = await this.getStakingContracts();
+    return this.txManager.send(tokenLocking, "withdraw", [clny.address, amount.toString()]);
+  }
+
+  /**
+   * Compute the entry hash the `ReputationMiningCycle` contract will compare against its target, without asking the contract.
+   * @param  {Number or BigNumber} entryIndex The entry being considered
+   * @param  {string}              hash       The root hash being submitted
+   * @return {string}                         `keccak256(submitter, entryIndex, hash)` as a hex string
+   */
+  getEntryHash(entryIndex, hash) {
+    return ethers.utils.solidityKeccak256(["address", "uint256", "bytes32"], [this.realWallet.address, entryIndex.toString(), hash]);
+  }
+
+  /**
+   * Work out which of our entries `hash` can be submitted with this cycle, and the earliest time each of them is eligible.
+   * @param  {string}  hash The root hash we intend to submit
+   * @return {Promise}      Resolves to an array of `{ entryIndex, timestamp }` objects, earliest first, with at most as many entries
+   *                        as can be submitted for a single hash.
+   */
+  async getEntrySchedule(hash) {
+    const repCycle = await this.logCache.getRepCycle();
+    const windowOpened = await repCycle.reputationMiningWindowOpenTimestamp();
+
+    const nEntries = BN.min(await this.getNumberOfEntries(), new BN(MAX_ENTRIES_CONSIDERED)).toNumber();
+    const schedule = [];
+    for (let entryIndex = 1; entryIndex <= nEntries; entryIndex += 1) {
+      const entryHash = new BN(this.getEntryHash(entryIndex, hash).slice(2), 16);
+      // The entry qualifies once `secondsElapsed * SUBMISSION_TARGET_STEP > entryHash`, or once the first hour is over.
+      const secondsElapsed = BN.min(entryHash.div(SUBMISSION_TARGET_STEP).addn(1), new BN(SUBMISSION_WINDOW_LENGTH + 1));
+      schedule.push({ entryIndex, timestamp: secondsElapsed.toNumber() + windowOpened.toNumber() });
+    }
+    schedule.sort((a, b) => a.timestamp - b.timestamp || a.entryIndex - b.entryIndex);
+    return schedule.slice(0, MAX_SUBMISSIONS_PER_HASH);
   }
 
   /**
@@ -500,34 +985,101 @@ class ReputationMiner {
 
   /**
    * Submit the Justification Root Hash (JRH) for the hash that (presumably) we submitted this round
-   * @return {Promise}
+   * @return {Promise} Resolves to the tx hash once it has been mined
    */
   async submitJustificationRootHash() {
     const jrh = await this.justificationTree.getRootHash();
     const [branchMask1, siblings1] = await this.justificationTree.getProof(`0x${new BN("0").toString(16, 64)}`);
 
-    const addr = await this.colonyNetwork.getReputationMiningCycle(true);
-    const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.realWallet);
-    let nLogEntries = await repCycle.getReputationUpdateLogLength();
-    nLogEntries = new BN(nLogEntries.toString());
-    const lastLogEntry = await repCycle.getReputationUpdateLogEntry(nLogEntries.subn(1).toString());
+    const repCycle = await this.logCache.getRepCycle();
+    const logEntries = await this.logCache.getLogEntries();
+    const lastLogEntry = logEntries[logEntries.length - 1];
     const totalnUpdates = new BN(lastLogEntry[4].toString()).add(new BN(lastLogEntry[5].toString()));
     const [branchMask2, siblings2] = await this.justificationTree.getProof(`0x${totalnUpdates.toString(16, 64)}`);
     const [round, index] = await this.getMySubmissionRoundAndIndex();
-    const res = repCycle.submitJustificationRootHash(round.toString(), index.toString(), jrh, branchMask1, siblings1, branchMask2, siblings2, {
-      gasLimit: 6000000
+    return this.txManager.send(repCycle, "submitJustificationRootHash", [
+      round.toString(),
+      index.toString(),
+      jrh,
+      branchMask1,
+      siblings1,
+      branchMask2,
+      siblings2
+    ]);
+  }
+
+  /**
+   * Get every submission made to a mining cycle: who submitted which hash. Hashes are found in the dispute rounds of the cycle, where a
+   * hash that is moved on to the next round is removed from the round it was in, and one that is eliminated doesn't make it to the next,
+   * so they are best looked for as the cycle goes along.
+   * @param  {string}  repCycleAddress The address of the `ReputationMiningCycle`
+   * @param  {Array}   [knownHashes]   `{ hash, nNodes }` of hashes already seen in the cycle, e.g. the submissions this gave before
+   * @param  {Number}  [blockNumber]   The block to read the cycle as it was at the end of (which needs a node that keeps historical state).
+   *                                   By default, the latest.
+   * @return {Promise}                 Resolves to `{ submitter, hash, nNodes }` for every submitter, as `getReputationHashSubmissions` has
+   *                                   their submission, ordered by hash and then in the order they submitted it
+   */
+  async getSubmissions(repCycleAddress, knownHashes = [], blockNumber) {
+    const repCycle = new ethers.Contract(repCycleAddress, this.repCycleImplementationContractDef.abi, this.realWallet);
+    const call = (methodName, params) =>
+      blockNumber === undefined ? repCycle[methodName](...params) : this.callAtBlock(repCycle, methodName, params, blockNumber);
+
+    // Reading past the end of a round fails, and so does reading a state the node doesn't have, which this tells apart
+    const nSubmittedHashes = await call("nSubmittedHashes", []);
+    if (nSubmittedHashes.isZero()) {
+      return [];
+    }
+
+    const hashes = {};
+    knownHashes.forEach(({ hash, nNodes }) => {
+      hashes[`${hash}-${nNodes}`] = { hash, nNodes: Number(nNodes) };
     });
-    return res;
+    for (let round = 0; ; round += 1) {
+      let index = 0;
+      for (; ; index += 1) {
+        let submission;
+        try {
+          submission = await call("getDisputeRounds", [round, index]); // eslint-disable-line no-await-in-loop
+        } catch (err) {
+          // The end of the round
+          break;
+        }
+        const [hash, nNodes] = submission;
+        // The slot of a hash that has moved on
+        if (hash !== ZERO_HASH) {
+          hashes[`${hash}-${nNodes.toString()}`] = { hash, nNodes: nNodes.toNumber() };
+        }
+      }
+      if (index === 0) {
+        break;
+      }
+    }
+
+    const submissions = [];
+    const keys = Object.keys(hashes).sort();
+    for (let i = 0; i < keys.length; i += 1) {
+      const { hash, nNodes } = hashes[keys[i]];
+      for (let j = 0; ; j += 1) {
+        let submitter;
+        try {
+          submitter = await call("submittedHashes", [hash, nNodes, j]); // eslint-disable-line no-await-in-loop
+        } catch (err) {
+          break;
+        }
+        const submission = await call("getReputationHashSubmissions", [submitter]); // eslint-disable-line no-await-in-loop
+        submissions.push({ submitter: submitter.toLowerCase(), hash: submission[0], nNodes: submission[1].toNumber() });
+      }
+    }
+    return submissions;
   }
 
   /**
    * Returns the round and index that our submission is currently at in the dispute cycle.
-   * @return {Promise} Resolves to [round, index] which are `BigNumber`.
+   * @return {Promise} Resolves to [round, index] which are `BigNumber`, or [null, null] if our hash is in none of the dispute rounds.
    */
   async getMySubmissionRoundAndIndex() {
     const submittedHash = await this.reputationTree.getRootHash();
-    const addr = await this.colonyNetwork.getReputationMiningCycle(true);
-    const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.realWallet);
+    const repCycle = await this.logCache.getRepCycle();
 
     let index = new BN("-1");
     const round = new BN("0");
@@ -537,6 +1089,10 @@ class ReputationMiner {
         index.iaddn(1);
         submission = await repCycle.getDisputeRounds(round.toString(), index.toString()); // eslint-disable-line no-await-in-loop
       } catch (err) {
+        if (index.isZero()) {
+          // This round is empty, so there are no later rounds to look in either.
+          return [null, null];
+        }
         round.iaddn(1);
         index = new BN("-1");
       }
@@ -547,13 +1103,12 @@ class ReputationMiner {
   /**
    * Respond to the next stage in the binary search occurring on `ReputationMiningCycle` contract in order to find
    * the first log entry where our submitted hash and the hash we are paired off against differ.
-   * @return {Promise} Resolves to the tx hash of the response
+   * @return {Promise} Resolves to the tx hash of the response once it has been mined
    */
   async respondToBinarySearchForChallenge() {
     const [round, index] = await this.getMySubmissionRoundAndIndex();
-    const addr = await this.colonyNetwork.getReputationMiningCycle(true);
-    const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.realWallet);
-    let submission = await repCycle.getDisputeRounds(round.toString(), index.toString());
+    const repCycle = await this.logCache.getRepCycle();
+    const submission = await repCycle.getDisputeRounds(round.toString(), index.toString());
     const targetNode = new BN(
       submission[8]
         .add(submission[9])
@@ -563,78 +1118,32 @@ class ReputationMiner {
     const intermediateReputationHash = this.justificationHashes[`0x${targetNode.toString(16, 64)}`].jhLeafValue;
     const [branchMask, siblings] = await this.justificationTree.getProof(`0x${targetNode.toString(16, 64)}`);
 
-    const tx = await repCycle.respondToBinarySearchForChallenge(
+    return this.txManager.send(repCycle, "respondToBinarySearchForChallenge", [
       round.toString(),
       index.toString(),
       intermediateReputationHash,
       branchMask,
-      siblings,
-      {
-        gasLimit: 1000000
-      }
-    );
-    submission = await repCycle.getDisputeRounds(round.toString(), index.toString());
-    return tx;
+      siblings
+    ]);
   }
 
   /**
    * Respond to a specific challenge over the effect of a specific log entry once the binary search has been completed to establish
    * the log entry where the two submitted hashes differ.
-   * @return {Promise} Resolves to tx hash of the response
+   * @return {Promise} Resolves to tx hash of the response once it has been mined
    */
   async respondToChallenge() {
     const [round, index] = await this.getMySubmissionRoundAndIndex();
-    const addr = await this.colonyNetwork.getReputationMiningCycle(true);
-    const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this.realWallet);
+    const repCycle = await this.logCache.getRepCycle();
     const submission = await repCycle.getDisputeRounds(round.toString(), index.toString());
-    // console.log(submission);
     const firstDisagreeIdx = new BN(submission[8].toString());
     const lastAgreeIdx = firstDisagreeIdx.subn(1);
-    // console.log('getReputationUPdateLogEntry', lastAgreeIdx);
-    // const logEntry = await repCycle.getReputationUpdateLogEntry(lastAgreeIdx.toString());
-    // console.log('getReputationUPdateLogEntry done');
     const reputationKey = await this.getKeyForUpdateNumber(lastAgreeIdx.toString());
-    // console.log('get justification tree');
     const [agreeStateBranchMask, agreeStateSiblings] = await this.justificationTree.getProof(`0x${lastAgreeIdx.toString(16, 64)}`);
     const [disagreeStateBranchMask, disagreeStateSiblings] = await this.justificationTree.getProof(`0x${firstDisagreeIdx.toString(16, 64)}`);
     const logEntryNumber = await this.getLogEntryNumberForUpdateNumber(lastAgreeIdx.toString());
-    // console.log('get justification tree done');
-
-    // These comments can help with debugging. This implied root is the intermediate root hash that is implied
-    // const impliedRoot = await this.justificationTree.getImpliedRoot(
-    //   reputationKey,
-    //   this.justificationHashes[`0x${new BN(lastAgreeIdx).toString(16, 64)}`].nextUpdateProof.value,
-    //   this.justificationHashes[`0x${new BN(lastAgreeIdx).toString(16, 64)}`].nextUpdateProof.branchMask,
-    //   this.justificationHashes[`0x${new BN(lastAgreeIdx).toString(16, 64)}`].nextUpdateProof.siblings
-    // );
-    // console.log('intermediatRootHash', impliedRoot);
-    // // This one is the JRH implied by the proof provided alongside the above implied root - we expect this to
-    // // be the JRH that has been submitted.
-    // const impliedRoot2 = await this.justificationTree.getImpliedRoot(
-    //   `0x${new BN(lastAgreeIdx).toString(16, 64)}`,
-    //   impliedRoot,
-    //   agreeStateBranchMask,
-    //   agreeStateSiblings
-    // );
-    // const jrh = await this.justificationTree.getRootHash();
-    // console.log('implied jrh', impliedRoot2)
-    // console.log('actual jrh', jrh)
-    // const impliedRoot3 = await this.justificationTree.getImpliedRoot(
-    //   reputationKey,
-    //   this.justificationHashes[`0x${new BN(firstDisagreeIdx).toString(16, 64)}`].justUpdatedProof.value,
-    //   this.justificationHashes[`0x${new BN(firstDisagreeIdx).toString(16, 64)}`].justUpdatedProof.branchMask,
-    //   this.justificationHashes[`0x${new BN(firstDisagreeIdx).toString(16, 64)}`].justUpdatedProof.siblings
-    // );
-    // const impliedRoot4 = await this.justificationTree.getImpliedRoot(
-    //   `0x${new BN(firstDisagreeIdx).toString(16, 64)}`,
-    //   impliedRoot3,
-    //   disagreeStateBranchMask,
-    //   disagreeStateSiblings
-    // );
-    // console.log('intermediatRootHash2', impliedRoot3);
-    // console.log('implied jrh from irh2', impliedRoot4);
-    // console.log('about to respondToChallengeReal')
-    const tx = await repCycle.respondToChallenge(
+
+    return this.txManager.send(repCycle, "respondToChallenge", [
       [
         round.toString(),
         index.toString(),
@@ -655,10 +1164,64 @@ class ReputationMiner {
       disagreeStateSiblings,
       this.justificationHashes[`0x${new BN(lastAgreeIdx).toString(16, 64)}`].newestReputationProof.key,
       this.justificationHashes[`0x${new BN(lastAgreeIdx).toString(16, 64)}`].newestReputationProof.value,
-      this.justificationHashes[`0x${new BN(lastAgreeIdx).toString(16, 64)}`].newestReputationProof.siblings,
-      { gasLimit: 4000000 }
+      this.justificationHashes[`0x${new BN(lastAgreeIdx).toString(16, 64)}`].newestReputationProof.siblings
+    ]);
+  }
+
+  /**
+   * Check the proofs `respondToChallenge` would send the way `proveBeforeReputationValue` and `proveAfterReputationValue` in
+   * ReputationMiningCycle.sol will check them, so that we don't spend gas on a response that is going to be rejected.
+   * @return {Promise} Resolves to `true` if the proofs of the disputed reputation before and after the update imply our JRH
+   */
+  async checkChallengeProofs() {
+    const [round, index] = await this.getMySubmissionRoundAndIndex();
+    const repCycle = await this.logCache.getRepCycle();
+    const submission = await repCycle.getDisputeRounds(round.toString(), index.toString());
+    const firstDisagreeIdx = new BN(submission[8].toString());
+    const lastAgreeIdx = firstDisagreeIdx.subn(1);
+    const firstDisagreeKey = `0x${firstDisagreeIdx.toString(16, 64)}`;
+    const lastAgreeKey = `0x${lastAgreeIdx.toString(16, 64)}`;
+    const reputationKey = await this.getKeyForUpdateNumber(lastAgreeIdx);
+    const { justUpdatedProof } = this.justificationHashes[firstDisagreeKey];
+    const { nextUpdateProof } = this.justificationHashes[lastAgreeKey];
+    const jrh = await this.justificationTree.getRootHash();
+
+    // The reputation after the update, in the first state we disagree on. This always has to be proved.
+    const [disagreeStateBranchMask, disagreeStateSiblings] = await this.justificationTree.getProof(firstDisagreeKey);
+    const disagreeStateRoot = await this.reputationTree.getImpliedRoot(
+      reputationKey,
+      justUpdatedProof.value,
+      justUpdatedProof.branchMask,
+      justUpdatedProof.siblings
     );
-    return tx;
+    const disagreeStateJrh = await this.justificationTree.getImpliedRoot(
+      firstDisagreeKey,
+      this.getJRHEntryValueAsBytes(disagreeStateRoot, justUpdatedProof.nNodes),
+      disagreeStateBranchMask,
+      disagreeStateSiblings
+    );
+    if (disagreeStateJrh !== jrh) {
+      return false;
+    }
+
+    // The reputation before the update, in the last state we agree on. This can't be proved for a reputation that didn't exist yet.
+    if (new BN(nextUpdateProof.value.slice(2, 66), 16).isZero()) {
+      return true;
+    }
+    const [agreeStateBranchMask, agreeStateSiblings] = await this.justificationTree.getProof(lastAgreeKey);
+    const agreeStateRoot = await this.reputationTree.getImpliedRoot(
+      reputationKey,
+      nextUpdateProof.value,
+      justUpdatedProof.branchMask,
+      justUpdatedProof.siblings
+    );
+    const agreeStateJrh = await this.justificationTree.getImpliedRoot(
+      lastAgreeKey,
+      this.getJRHEntryValueAsBytes(agreeStateRoot, nextUpdateProof.nNodes),
+      agreeStateBranchMask,
+      agreeStateSiblings
+    );
+    return agreeStateJrh === jrh;
   }
 
   /**
@@ -695,15 +1258,12 @@ class ReputationMiner {
       16,
       40
     )}`;
-    // const keyAlreadyExists = await this.keyExists(key);
     // If we already have this key, then we lookup the unique identifier we assigned this key.
     // Otherwise, give it the new one.
-    let value;
+    const previousValue = await this.getReputation(key);
+    let value = previousValue;
     let newValue;
-    const keyAlreadyExists = this.reputations[key] !== undefined;
-    if (keyAlreadyExists) {
-      // Look up value from our JSON.
-      value = this.reputations[key];
+    if (previousValue !== undefined) {
       // Extract uid
       const uid = ethers.utils.bigNumberify(`0x${value.slice(-64)}`);
       const existingValue = ethers.utils.bigNumberify(`0x${value.slice(2, 66)}`);
@@ -723,10 +1283,16 @@ class ReputationMiner {
       // A new value can never overflow, so we don't need a 'capping' check here
       value = this.getValueAsBytes(newValue, this.nReputations + 1, index);
       this.nReputations += 1;
+      this.newestReputationKey = key;
+    }
+    if (this.previousValues !== undefined && !(key in this.previousValues)) {
+      this.previousValues[key] = previousValue;
+    }
+    if (this.batch !== undefined) {
+      this.batch.set(key, value);
+    } else {
+      await this.reputationTree.insert(key, value);
     }
-    await this.reputationTree.insert(key, value, { gasLimit: 4000000 });
-    // If successful, add to our JSON.
-    this.reputations[key] = value;
     return true;
   }
 }
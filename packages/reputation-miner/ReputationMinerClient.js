@@ -1,40 +1,114 @@
+const fs = require("fs");
 const path = require("path");
+const http = require("http");
+const https = require("https");
 const jsonfile = require("jsonfile");
 const ethers = require("ethers");
-const express = require("express");
 const BN = require("bn.js");
 
 const ReputationMiner = require("./ReputationMiner");
+const ReputationOracle = require("./ReputationOracle");
+const ReputationHistory = require("./ReputationHistory");
+const ReputationTimeSeries = require("./ReputationTimeSeries");
+const ReputationSnapshot = require("./ReputationSnapshot");
+const ReputationJournal = require("./ReputationJournal");
+const { FileNodeStore, LRUNodeStore } = require("./NodeStore");
+
+const ZERO_HASH = "0x0000000000000000000000000000000000000000000000000000000000000000";
+// As the ReputationMiningCycle contract has them, in seconds
+const SUBMISSION_WINDOW_LENGTH = 3600;
+const OPPONENT_TIMEOUT = 600;
+// What the process exits with after an alert, if it's been told to
+const ALERT_EXIT_CODE = 2;
+// How much of the reputations JSON file we write at a time
+const WRITE_CHUNK_SIZE = 1 << 20; // eslint-disable-line no-bitwise
+
+function postJSON(url, body) {
+  return new Promise((resolve, reject) => {
+    const { request } = url.startsWith("https:") ? https : http;
+    const req = request(url, { method: "POST", headers: { "Content-Type": "application/json" } }, res => {
+      res.resume();
+      res.on("end", () => (res.statusCode < 300 ? resolve() : reject(new Error(`${url} responded with ${res.statusCode}`))));
+    });
+    req.on("error", reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+// Where we are in a cycle: building its reputation state, waiting for our entries to become eligible (or for the next cycle),
+// having submitted our hash, defending it against an opponent, and having confirmed it
+const PHASES = {
+  BUILDING: "building",
+  WAITING: "waiting",
+  SUBMITTED: "submitted",
+  DISPUTING: "disputing",
+  CONFIRMED: "confirmed"
+};
 
 class ReputationMinerClient {
   /**
    * Constructor for ReputationMiner
    * @param {string} minerAddress            The address that is staking CLNY that will allow the miner to submit reputation hashes
    * @param {Number} [realProviderPort=8545] The port that the RPC node with the ability to sign transactions from `minerAddress` is responding on. The address is assumed to be `localhost`.
+   * @param {Number} [syncFrom]              If set, the reputation state is rebuilt by replaying every mining cycle completed since this block, instead of being read from `file`
+   * @param {bool}   [useJsTree=false]       Whether to keep the reputation state in the Javascript Patricia tree rather than in a `PatriciaTree` contract on a local ganache
+   * @param {bool}   [diskNodeStore=false]   Whether the Javascript Patricia tree should keep its nodes on disk (with the most recently used ones cached in memory).
+   *                                         The reputations themselves go there too, as the values of the leaves of the tree.
+   * @param {Number} [oraclePort=3000]       The port the reputation oracle listens on
+   * @param {string} [oracleHost]            The host (interface) the reputation oracle listens on. By default, every interface.
+   * @param {bool}   [observe=false]         Whether to only watch: build the reputation state for every cycle, and check the hash each
+   *                                         cycle confirms (and every hash submitted to it) against it, without sending any transactions.
+   *                                         No `minerAddress` or `privateKey` is needed.
+   * @param {string} [alertWebhook]          When observing, a URL to POST the details of every alert to, as JSON
+   * @param {bool}   [exitOnAlert=false]     When observing, whether to exit (with `ALERT_EXIT_CODE`) after an alert
+   * @param {ReputationMiner} [miner]        The miner to mine with, rather than one made from the options above (e.g. one of the
+   *                                         misbehaving miners the tests use)
    */
-  constructor({ file, minerAddress, loader, realProviderPort, seed, privateKey, provider }) {
+  constructor({
+    file,
+    minerAddress,
+    loader,
+    realProviderPort,
+    seed,
+    privateKey,
+    provider,
+    syncFrom,
+    useJsTree,
+    diskNodeStore,
+    oraclePort,
+    oracleHost,
+    observe = false,
+    alertWebhook,
+    exitOnAlert = false,
+    miner
+  }) {
     this._loader = loader;
-    this._miner = new ReputationMiner({ minerAddress, loader, provider, privateKey, realProviderPort });
-    this._seed = seed;
     this._file = path.resolve(process.cwd(), file);
+    if (useJsTree && diskNodeStore) {
+      this._fileNodeStore = new FileNodeStore(this._file.replace(/(\.json)?$/, ".nodes"));
+    }
+    const nodeStore = this._fileNodeStore && new LRUNodeStore(this._fileNodeStore);
+    this._miner = miner || new ReputationMiner({ minerAddress, loader, provider, privateKey, realProviderPort, useJsTree, nodeStore });
+    this._seed = seed;
+    this._syncFrom = syncFrom;
+    this._observe = observe;
+    this._alertWebhook = alertWebhook;
+    this._exitOnAlert = exitOnAlert;
+    // The local mirror of the skill tree is kept next to the reputations, e.g. in `reputations.skills.json` for `reputations.json`
+    this._skillsFile = this._file.replace(/(\.json)?$/, ".skills.json");
+    // As is the Javascript Patricia tree, if we're using it, so it can be restored without inserting every reputation again
+    this._treeFile = this._file.replace(/(\.json)?$/, ".tree.json");
 
-    this._app = express();
-    this._app.get("/:colonyAddress/:skillId/:userAddress", async (req, res) => {
-      const key = await ReputationMiner.getKey(req.params.colonyAddress, req.params.skillId, req.params.userAddress);
-      if (this._miner.reputations[key]) {
-        const proof = await this._miner.getReputationProofObject(key);
-        delete proof.nNodes;
-        proof.reputationAmount = ethers.utils.bigNumberify(`0x${proof.value.slice(2, 66)}`).toString();
-
-        res.status(200).send(proof);
-      } else {
-        res.status(400).send({ message: "Requested reputation does not exist or invalid request" });
-      }
-    });
+    // Every confirmed state is kept in the node store of the tree, and indexed in `reputations.history.jsonl`, so the oracle can still
+    // answer about it later
+    this._history = new ReputationHistory(this._file.replace(/(\.json)?$/, ".history.jsonl"), this._miner);
+    // And what each of them changed, in `reputations.timeseries.jsonl`, for the history of each user's reputation
+    this._timeSeries = new ReputationTimeSeries(this._file.replace(/(\.json)?$/, ".timeseries.jsonl"));
+    // What we've done in the cycle we're working on goes in `reputations.journal.jsonl`, so we can carry on from there after a restart
+    this._journal = new ReputationJournal(this._file.replace(/(\.json)?$/, ".journal.jsonl"));
 
-    this.server = this._app.listen(3000, () => {
-      console.log("⭐️ Reputation oracle running on port ", this.server.address().port);
-    });
+    this._oracle = new ReputationOracle(this._miner, this._history, this._timeSeries);
+    this._oracle.listen(oraclePort, oracleHost);
   }
 
   /**
@@ -47,18 +121,52 @@ class ReputationMinerClient {
 
     this.repCycleContractDef = await this._loader.load({ contractName: "IReputationMiningCycle" }, { abi: true, address: false });
 
+    if (this._syncFrom !== undefined) {
+      console.log("⏪ Replaying every reputation mining cycle since block", this._syncFrom);
+      this.clearNodeStore();
+      const nCycles = await this._miner.sync(this._syncFrom, async confirmation =>
+        this.recordConfirmedState(confirmation, await ReputationSnapshot.take(this._miner), await this._miner.getCycleUpdates())
+      );
+      console.log(`💾 Replayed ${nCycles} cycles, writing reputation state to JSON file`);
+      await this.writeReputationState();
+    } else {
+      await this.restoreReputations();
+    }
+    // If what we've restored is the confirmed state, the oracle can answer from it straight away
+    this._pendingSnapshot = await ReputationSnapshot.take(this._miner);
+
+    console.log("🏁 Initialised");
+    this.start();
+  }
+
+  /**
+   * Restores the reputation state from the JSON file, or seeds it with dummy data if `--seed` is set and there is nothing to restore from.
+   * If the Javascript Patricia tree keeps its nodes on disk, the reputations are in there too, so the tree is restored from that without
+   * reading the JSON file, which is then only a copy of them for other tools to read.
+   * @return {Promise}
+   */
+  async restoreReputations() {
     try {
-      // TODO: I don't really like writing properties like that. We might need a setReputations() method on the miner
-      // It can also then set the nReputations
-      this._miner.reputations = jsonfile.readFileSync(this._file);
+      this._miner.skillTree.load(jsonfile.readFileSync(this._skillsFile));
+      console.log("💾 Restored skill tree from JSON file");
+    } catch (err) {
+      console.log("No existing skill tree found - it will be built from the chain");
+    }
+
+    if (this._fileNodeStore && (await this.restoreReputationTree())) {
+      return;
+    }
+
+    let reputations;
+    try {
+      reputations = jsonfile.readFileSync(this._file);
       console.log("💾 Restored from JSON file");
     } catch (err) {
-      this._miner.reputations = {};
+      reputations = {};
       console.log("No existing reputations found - starting from scratch");
     }
-    this._miner.nReputations = Object.keys(this._miner.reputations).length;
 
-    if (this._miner.nReputations === 0 && this._seed) {
+    if (Object.keys(reputations).length === 0 && this._seed) {
       // Temporary data if --seed is set and there's nothing to restore from.
       const ADDRESS1 = "0x309e642dbf573119ca75153b25f5b8462ff1b90b";
       const ADDRESS2 = "0xbc13dbc1a954b3443d6f75297a232faa513774b3";
@@ -74,66 +182,546 @@ class ReputationMinerClient {
       await this._miner.insert(ADDRESS3, 1, ADDRESS0, new BN("200000000"));
       console.log("💾 Writing initialised state with dummy data to JSON file");
 
-      jsonfile.writeFileSync(this._file, this._miner.reputations);
-    } else {
-      // TODO: It would be good to have an interface on the miner for that, I'm pretty sure this logic is already somewhere in there
-      for (let i = 0; i < Object.keys(this._miner.reputations).length; i += 1) {
-        const key = Object.keys(this._miner.reputations)[i];
-        await this._miner.reputationTree.insert(key, this._miner.reputations[key], { gasLimit: 4000000 }); // eslint-disable-line no-await-in-loop
+      await this.writeReputationState();
+    } else if (this._fileNodeStore || !(await this.restoreReputationTree(reputations))) {
+      // (With the nodes on disk, restoring the tree has already been tried)
+      this.clearNodeStore();
+      await this._miner.setReputations(reputations);
+    }
+  }
+
+  /**
+   * Restores the Javascript Patricia tree from its file, if we're using it and (if given) the file holds the reputations read from the JSON file
+   * @param  {Object}  [reputations] The reputations read from the JSON file, by key
+   * @return {Promise}               Resolves to whether the tree was restored. If not, the state still has to be set some other way.
+   */
+  async restoreReputationTree(reputations) {
+    if (!this._miner.useJsTree) {
+      return false;
+    }
+    let snapshot;
+    try {
+      snapshot = jsonfile.readFileSync(this._treeFile);
+    } catch (err) {
+      console.log("No existing reputation tree found - rebuilding it from the reputations");
+      return false;
+    }
+    try {
+      await this._miner.restoreReputationTree(snapshot);
+    } catch (err) {
+      console.log("❗️ Couldn't restore the stored reputation tree - rebuilding it from the reputations:", err.message);
+      return false;
+    }
+
+    if (reputations === undefined) {
+      console.log("💾 Restored reputation tree from its files");
+      return true;
+    }
+    const tree = this._miner.reputationTree;
+    const keys = Object.keys(reputations);
+    const values = await Promise.all(keys.map(key => tree.get(key)));
+    if (this._miner.nReputations !== keys.length || !keys.every((key, i) => values[i] === reputations[key])) {
+      console.log("The stored reputation tree doesn't hold the stored reputations - rebuilding it from them");
+      return false;
+    }
+    console.log("💾 Restored reputation tree from JSON file");
+    return true;
+  }
+
+  /**
+   * Writes the reputations, the skill tree and (if we're using it) a snapshot of the Javascript Patricia tree to their files
+   * @return {Promise}
+   */
+  async writeReputationState() {
+    await this.writeReputations();
+    jsonfile.writeFileSync(this._skillsFile, this._miner.skillTree);
+    if (this._miner.useJsTree) {
+      jsonfile.writeFileSync(this._treeFile, await this._miner.reputationTree.snapshot());
+    }
+    // Every insert leaves the nodes it replaced behind in the file
+    if (this._fileNodeStore && this._fileNodeStore.needsCompacting()) {
+      this._fileNodeStore.compact();
+    }
+  }
+
+  /**
+   * Writes the reputations to the JSON file, as they're read out of the reputation tree, so they never all have to be in memory at once
+   * @return {Promise}
+   */
+  async writeReputations() {
+    const fd = fs.openSync(this._file, "w");
+    let buffered = "{";
+    await this._miner.forEachReputation((key, value) => {
+      buffered += `${buffered === "{" ? "" : ","}${JSON.stringify(key)}:${JSON.stringify(value)}`;
+      if (buffered.length >= WRITE_CHUNK_SIZE) {
+        fs.writeSync(fd, buffered);
+        buffered = "";
       }
+    });
+    fs.writeSync(fd, `${buffered}}\n`);
+    fs.closeSync(fd);
+  }
+
+  /**
+   * Removes whatever nodes of an earlier reputation tree are still in the node store, before we build the tree from scratch
+   */
+  clearNodeStore() {
+    if (this._miner.nodeStore) {
+      this._miner.nodeStore.clear();
     }
+  }
 
-    console.log("🏁 Initialised");
-    setTimeout(() => this.checkSubmissionWindow(), 0);
+  /**
+   * Switches the oracle over to the snapshot of our reputation state when the root hash of that state has been confirmed. If a root hash
+   * we don't have the state of is confirmed, the oracle stops answering rather than answer with proofs that don't match it.
+   * @return {Promise}
+   */
+  async updateOracleSnapshot() {
+    const confirmedHash = await this._miner.colonyNetwork.getReputationRootHash();
+    const confirmedNNodes = await this._miner.colonyNetwork.getReputationRootHashNNodes();
+    const isConfirmed = snapshot => snapshot !== undefined && snapshot.rootHash === confirmedHash && confirmedNNodes.eq(snapshot.nNodes);
+
+    if (isConfirmed(this._oracle.snapshot)) {
+      return;
+    }
+    if (isConfirmed(this._pendingSnapshot)) {
+      const confirmations = await this._oracle.getConfirmations();
+      // The state we started from might never have been confirmed by a cycle (e.g. the empty state of a new network)
+      const confirmation = confirmations.filter(({ hash }) => hash === confirmedHash).pop() || { hash: confirmedHash };
+      await this.recordConfirmedState(confirmation, this._pendingSnapshot, this._pendingUpdates);
+      this._oracle.setSnapshot(this._pendingSnapshot);
+      this._pendingSnapshot = undefined;
+      this._pendingUpdates = undefined;
+      console.log("🔮 The oracle is now answering from the confirmed reputation root hash", confirmedHash);
+      return;
+    }
+
+    // If we were restarted after building the state for the active cycle, the confirmed state is one we kept before
+    const keptSnapshot = this._history.has(confirmedHash) ? await this._history.get(confirmedHash) : undefined;
+    if (isConfirmed(keptSnapshot)) {
+      this._oracle.setSnapshot(keptSnapshot);
+      console.log("🔮 The oracle is now answering from the confirmed reputation root hash", confirmedHash);
+    } else if (this._oracle.snapshot !== undefined) {
+      this._oracle.setSnapshot(undefined);
+      console.log("❗️ We don't have the state of the confirmed reputation root hash", confirmedHash, "- the oracle won't answer until we do");
+    }
+  }
+
+  /**
+   * Keeps a confirmed reputation state in the history, and what its cycle changed (if we know) in the time series
+   * @param  {Object}             confirmation `{ hash, blockNumber }` of the confirmation, as `ReputationMiner.getConfirmedRootHashes` gives it
+   * @param  {ReputationSnapshot} snapshot     The snapshot of the state whose root hash was confirmed
+   * @param  {Array}              [updates]    What the cycle changed, as `ReputationMiner.getCycleUpdates` gives it
+   * @return {Promise}
+   */
+  async recordConfirmedState({ hash, blockNumber }, snapshot, updates) {
+    let cycle;
+    if (blockNumber !== undefined) {
+      // Cycles count from 1, and the oracle knows every confirmation since the network was deployed
+      const index = (await this._oracle.getConfirmations()).findIndex(confirmation => confirmation.blockNumber === blockNumber);
+      cycle = index === -1 ? undefined : index + 1;
+    }
+    this._history.record(snapshot, { blockNumber, cycle });
+    if (updates !== undefined && blockNumber !== undefined) {
+      const { timestamp } = await this._miner.realProvider.getBlock(blockNumber);
+      this._timeSeries.record({ rootHash: hash, blockNumber, timestamp }, updates);
+    }
+  }
+
+  /**
+   * Start mining: deal with the active cycle, and then with each new block as it comes in (including the one that completes the cycle)
+   */
+  start() {
+    this._queue = Promise.resolve();
+    this._onBlock = () => this.onBlock();
+    this._miner.realProvider.on("block", this._onBlock);
+    this.enqueue(() => this.beginCycle());
+  }
+
+  /**
+   * Stop mining, and stop the oracle
+   * @return {Promise} Resolves once whatever we were doing is done
+   */
+  async stop() {
+    this._miner.realProvider.removeListener("block", this._onBlock);
+    await this._queue;
+    await this._oracle.close();
+  }
+
+  /**
+   * Deal with `task` once we're done with everything before it. Blocks can come in while we're still dealing with the last one,
+   * and we don't want to, say, submit while we're still building the state to submit.
+   * @param  {Function} task What to do, which resolves once it is done
+   * @return {Promise}       Resolves once it is done
+   */
+  enqueue(task) {
+    this._queue = this._queue.then(task).catch(err => console.log("❗️", err.message));
+    return this._queue;
+  }
+
+  setPhase(phase) {
+    if (phase !== this.phase) {
+      console.log(`🔀 ${this.phase || "starting"} → ${phase}`);
+      this.phase = phase;
+    }
+  }
+
+  onBlock() {
+    // If blocks come in faster than we deal with them, we only need to deal with the latest
+    if (this._blockQueued) {
+      return;
+    }
+    this._blockQueued = true;
+    this.enqueue(() => {
+      this._blockQueued = false;
+      return this.handleBlock();
+    });
+  }
+
+  /**
+   * Deal with the cycle we were working on having been confirmed, and move on to the next one
+   * @param  {Object}  confirmation `{ hash, nNodes, blockNumber }` of the confirmation, as `ReputationMiner.getConfirmedRootHashes` gives it
+   * @return {Promise}
+   */
+  async onCycleComplete(confirmation) {
+    const { hash } = confirmation;
+    console.log("🏆 Reputation root hash", hash, "confirmed");
+    if (this._observe) {
+      await this.auditCycle(confirmation);
+    }
+    if (this._pendingSnapshot !== undefined && this._pendingSnapshot.rootHash === hash) {
+      this.setPhase(PHASES.CONFIRMED);
+    }
+    await this.beginCycle();
   }
 
-  async checkSubmissionWindow() {
+  /**
+   * Build the reputation state for the active cycle, work out when the window for it closes and when each of our entries becomes
+   * eligible, and wait for them. If we were restarted part way through the cycle, we carry on from where the journal says we stopped.
+   * @return {Promise}
+   */
+  async beginCycle() {
     // TODO: Check how much of this does actually belong into the Miner itself
     // One could introduce lifecycle hooks in the miner to avoid code duplication
+    this.setPhase(PHASES.BUILDING);
+    await this.updateOracleSnapshot();
 
-    // Check if it's been an hour since the window opened
-    const addr = await this._miner.colonyNetwork.getReputationMiningCycle(true);
-    const repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this._miner.realWallet);
+    // We know the cycle has been confirmed once it stops being the active one, and find out in which block by looking from this one on
+    this._cycleBlock = await this._miner.realProvider.getBlockNumber();
+    const addr = await this._miner.callAtBlock(this._miner.colonyNetwork, "getReputationMiningCycle", [true], this._cycleBlock);
+    this._repCycle = new ethers.Contract(addr, this.repCycleContractDef.abi, this._miner.realWallet);
+    this._pendingEntries = [];
+    this._lastDisputeAction = undefined;
+    this._expectedState = undefined;
+    this._observedSubmissions = [];
 
-    const windowOpened = await repCycle.reputationMiningWindowOpenTimestamp();
+    let journal = await this.resumeCycle(addr);
+    if (journal === undefined) {
+      console.log("⏰ A new mining cycle has started, processing its log");
+      try {
+        await this._miner.addLogContentsToReputationTree();
+      } catch (err) {
+        console.log("❗️", err.message);
+        console.log("❗️ Not mining this cycle. Restart with --syncFrom 0 to rebuild the reputation state from the chain.");
+        this.setPhase(PHASES.WAITING);
+        return;
+      }
+      const cycle = {
+        cycleAddress: addr,
+        rootHash: await this._miner.getRootHash(),
+        nNodes: this._miner.nReputations,
+        jrh: await this._miner.justificationTree.getRootHash(),
+        justificationHashes: this._miner.justificationHashes,
+        updates: await this._miner.getCycleUpdates()
+      };
+      // Before the new state replaces the one it was built from in the JSON file, so we never restart with the one without the other
+      this._journal.beginCycle(cycle);
+      journal = Object.assign({ submittedEntries: [], completedSteps: [] }, cycle);
 
+      console.log("💾 Writing new reputation state to JSON file");
+      await this.writeReputationState();
+    }
+    // The oracle switches to this state once the cycle we're about to submit it to confirms it
+    this._pendingSnapshot = await ReputationSnapshot.take(this._miner);
+    this._pendingUpdates = journal.updates;
+    this._lastDisputeAction = journal.completedSteps[journal.completedSteps.length - 1];
+    this._expectedState = { rootHash: journal.rootHash, nNodes: journal.nNodes };
+
+    const windowOpened = await this._repCycle.reputationMiningWindowOpenTimestamp();
+    this._windowClosesAt = windowOpened.toNumber() + SUBMISSION_WINDOW_LENGTH;
+    console.log(`🪟 The submission window opened at ${windowOpened.toString()} and closes at ${this._windowClosesAt}`);
+    if (this._observe) {
+      console.log("👀 Watching for the hash this cycle confirms, expecting", journal.rootHash, "with", journal.nNodes, "nodes");
+      this.setPhase(PHASES.WAITING);
+      return;
+    }
+
+    // Line up every entry our stake allows us to submit this hash with (that we haven't already), in the order they become eligible
+    const schedule = await this._miner.getEntrySchedule(journal.rootHash);
+    this._pendingEntries = schedule.filter(({ entryIndex }) => !journal.submittedEntries.includes(entryIndex));
+    if (schedule.length === 0) {
+      console.log("❗️ We aren't staking enough CLNY to submit a reputation hash this cycle");
+    } else if (this._pendingEntries.length > 0) {
+      console.log(`🎟 ${this._pendingEntries.length} entries lined up, the first of which is eligible at ${this._pendingEntries[0].timestamp}`);
+    }
+    this.setPhase(journal.submittedEntries.length > 0 ? PHASES.SUBMITTED : PHASES.WAITING);
+
+    // The first entry might already be eligible, in which case we don't wait for another block to submit it
+    await this.handleBlock();
+  }
+
+  /**
+   * Restore what we'd done in a cycle from the journal, if the journal is of that cycle and we've restored the state we built for it
+   * @param  {string}  cycleAddress The address of the cycle
+   * @return {Promise}              Resolves to the journal, as `ReputationJournal.restore` gives it, or `undefined` if we can't carry on
+   *                                from it and have to process the log of the cycle
+   */
+  async resumeCycle(cycleAddress) {
+    const journal = this._journal.restore();
+    if (journal === undefined || journal.cycleAddress !== cycleAddress) {
+      return undefined;
+    }
+    // We stopped after writing the journal but before writing the state it is of, so what we have is the state the cycle starts from
+    if ((await this._miner.getRootHash()) !== journal.rootHash) {
+      return undefined;
+    }
+    const jrh = await this._miner.restoreJustificationTree(journal.justificationHashes);
+    if (jrh !== journal.jrh) {
+      console.log("❗️ The justification tree in the journal doesn't have the JRH it was built with - processing the log again");
+      return undefined;
+    }
+    const nSubmitted = journal.submittedEntries.length;
+    console.log(`📒 Carrying on with the mining cycle at ${cycleAddress} from the journal, having submitted ${nSubmitted} entries`);
+    return journal;
+  }
+
+  /**
+   * Take whatever step the latest block makes possible: moving on to the next cycle if it completed ours, submitting with the entries
+   * that have become eligible, and then defending our submission. Until we've submitted, that's all a block can change for us, so
+   * besides whether our cycle is still the active one, we only look at its timestamp.
+   * @return {Promise}
+   */
+  async handleBlock() {
+    if (this.phase === PHASES.BUILDING || this._repCycle === undefined) {
+      return;
+    }
+    const activeCycle = await this._miner.colonyNetwork.getReputationMiningCycle(true);
+    if (activeCycle.toLowerCase() !== this._repCycle.address.toLowerCase()) {
+      const [confirmation] = await this._miner.getConfirmedRootHashes(this._cycleBlock + 1);
+      await this.onCycleComplete(confirmation);
+      return;
+    }
+    if (this._observe) {
+      // A hash can be gone from the dispute rounds by the time the cycle is confirmed, so we keep track of them as they come in
+      this._observedSubmissions = await this._miner.getSubmissions(this._repCycle.address, this._observedSubmissions);
+      return;
+    }
     const block = await this._miner.realProvider.getBlock("latest");
-    const now = block.timestamp;
-    if (now - windowOpened > 3600) {
-      console.log("⏰ Looks like it's time to submit an update");
-      // If so, process the log
-      await this._miner.addLogContentsToReputationTree();
 
-      console.log("💾 Writing new reputation state to JSON file");
-      jsonfile.writeFileSync(this._file, this._miner.reputations);
+    // Submit with every entry that has become eligible since the last block
+    while (this._pendingEntries.length > 0 && this._pendingEntries[0].timestamp <= block.timestamp) {
+      const { entryIndex } = this._pendingEntries.shift();
+      console.log("#️⃣ Submitting new reputation hash with entry", entryIndex);
+      this._journal.record({ type: "submitting", entryIndex });
+      try {
+        const tx = await this._miner.submitRootHash(entryIndex); // eslint-disable-line no-await-in-loop
+        this._journal.record({ type: "submitted", entryIndex, tx });
+        if (this.phase === PHASES.WAITING) {
+          this.setPhase(PHASES.SUBMITTED);
+        }
+        console.log("✅ New reputation hash submitted, via TX", tx);
+      } catch (err) {
+        console.log("❗️ Submission with entry", entryIndex, "failed:", err.message);
+      }
+    }
+
+    if (this.phase === PHASES.SUBMITTED || this.phase === PHASES.DISPUTING) {
+      // Defend our submission until it is confirmed
+      await this.respondToDispute(this._repCycle, block);
+    }
+  }
+
+  /**
+   * Check the hash a cycle confirmed against the one we built for it, and every hash submitted to it, and raise an alert if the
+   * confirmed hash isn't ours
+   * @param  {Object}  confirmation `{ hash, nNodes, blockNumber }` of the confirmation, as `ReputationMiner.getConfirmedRootHashes` gives it
+   * @return {Promise}
+   */
+  async auditCycle({ hash, nNodes, blockNumber }) {
+    const expected = this._expectedState;
+    if (expected === undefined) {
+      console.log("❗️ We didn't build the reputation state for the cycle that was just confirmed, so we can't check it");
+      return;
+    }
+    const cycleAddress = this._repCycle.address;
+    let submissions;
+    try {
+      // The cycle self-destructed in the block that confirmed it
+      submissions = await this._miner.getSubmissions(cycleAddress, this._observedSubmissions, blockNumber - 1);
+    } catch (err) {
+      // The node doesn't keep the state of that block any more, so we go with what we saw of the cycle last
+      submissions = this._observedSubmissions;
+    }
+    const isExpected = submission => submission.hash === expected.rootHash && submission.nNodes === expected.nNodes;
+    submissions.forEach(submission => {
+      console.log(isExpected(submission) ? "✅" : "❌", `${submission.submitter} submitted ${submission.hash} with ${submission.nNodes} nodes`);
+    });
+
+    const confirmed = { hash, nNodes };
+    if (isExpected(confirmed)) {
+      console.log("✅ The confirmed hash is the one we expected");
+      return;
+    }
+    await this.alert({
+      cycleAddress,
+      blockNumber,
+      confirmedHash: confirmed.hash,
+      confirmedNNodes: confirmed.nNodes,
+      expectedHash: expected.rootHash,
+      expectedNNodes: expected.nNodes,
+      submissions
+    });
+  }
+
+  /**
+   * Raise the alarm about a confirmed hash that isn't the one we expected: log it, POST it to the webhook, and exit if we've been told to
+   * @param  {Object}  details What was confirmed, what we expected, and what was submitted, as `auditCycle` puts it
+   * @return {Promise}
+   */
+  async alert(details) {
+    console.log(
+      `🚨 The cycle at ${details.cycleAddress} confirmed ${details.confirmedHash} with ${details.confirmedNNodes} nodes in block`,
+      `${details.blockNumber}, but we expected ${details.expectedHash} with ${details.expectedNNodes} nodes`
+    );
+    if (this._alertWebhook !== undefined) {
+      try {
+        await postJSON(this._alertWebhook, Object.assign({ alert: "unexpectedReputationRootHash" }, details));
+      } catch (err) {
+        console.log("❗️ Couldn't send the alert to", this._alertWebhook, err.message);
+      }
+    }
+    if (this._exitOnAlert) {
+      process.exit(ALERT_EXIT_CODE);
+    }
+  }
 
-      console.log("#️⃣ Submitting new reputation hash");
+  /**
+   * Works out where our submission is in the dispute process of the current cycle, and takes the next step that is
+   * required of us (if any): submitting our JRH, responding to the binary search, responding to the challenge itself,
+   * invalidating an opponent that has timed out, moving on after a bye, or confirming our hash once it's the last one standing.
+   * Once a step has gone through, it isn't taken again for the same state of our submission. One that failed is tried again with the next block.
+   * Moves us on to the `disputing` phase once we have an opponent, back to `waiting` if we're eliminated, and to `confirmed` once
+   * we've confirmed our hash.
+   * @param  {Contract}  repCycle The active `ReputationMiningCycle` contract, connected to the miner's wallet
+   * @param  {Object}    block    The latest block
+   * @return {Promise}            Resolves to the transaction that was sent, or `undefined` if there was nothing for us to do
+   */
+  async respondToDispute(repCycle, block) {
+    const [round, index] = await this._miner.getMySubmissionRoundAndIndex();
+    if (round === null) {
+      return undefined;
+    }
+    const submission = await repCycle.getDisputeRounds(round.toString(), index.toString());
+    const challengeStepCompleted = new BN(submission[3].toString());
+    const providedPreviousReputationUID = new BN(submission[10].toString());
 
-      // Submit hash
-      let tx = await this._miner.submitRootHash();
-      if (!tx.nonce) {
-        // Assume we've been given back the tx hash.
-        tx = await this._miner.realProvider.getTransaction(tx);
+    const opponentIdx = index.isOdd() ? index.subn(1) : index.addn(1);
+    let opponent;
+    try {
+      opponent = await repCycle.getDisputeRounds(round.toString(), opponentIdx.toString());
+    } catch (err) {
+      // Nobody in that slot (yet)
+    }
+
+    let step;
+    let action;
+    if (opponent === undefined) {
+      const nSubmittedHashes = await repCycle.nSubmittedHashes();
+      const nInvalidatedHashes = await repCycle.nInvalidatedHashes();
+      // Give everyone (including any entries of ours still to come) the full submission window before confirming
+      const windowClosed = block.timestamp > this._windowClosesAt;
+      if (windowClosed && index.isZero() && new BN(nSubmittedHashes.sub(nInvalidatedHashes).toString()).eqn(1)) {
+        step = "confirm";
+        action = () => this._miner.txManager.send(repCycle, "confirmNewHash", [round.toString()]);
+      } else if (index.isEven()) {
+        // We might be due a bye to the next round. The contract knows whether an opponent could still turn up.
+        // (Some nodes, e.g. ganache, estimate no gas at all for a transaction that would fail, rather than reporting the failure.)
+        try {
+          const gas = await repCycle.estimate.invalidateHash(round.toString(), opponentIdx.toString());
+          if (!gas.isZero()) {
+            step = "bye";
+            action = () => this._miner.txManager.send(repCycle, "invalidateHash", [round.toString(), opponentIdx.toString()]);
+          }
+        } catch (err) {
+          // Not yet
+        }
+      }
+    } else if (opponent[0] === ZERO_HASH) {
+      // Our opponent has moved on to the next round without us, so we have lost this dispute.
+      if (this._lastDisputeAction !== "eliminated") {
+        console.log("❌ Our submission was eliminated in round", round.toString());
+        this._lastDisputeAction = "eliminated";
       }
+      this.setPhase(PHASES.WAITING);
+      return undefined;
+    } else {
+      this.setPhase(PHASES.DISPUTING);
+      const opponentChallengeStepCompleted = new BN(opponent[3].toString());
+      const opponentProvidedPreviousReputationUID = new BN(opponent[10].toString());
+      const opponentTimedOut = block.timestamp - new BN(opponent[2].toString()).toNumber() >= OPPONENT_TIMEOUT;
 
-      console.log("Confirming new reputation hash...");
+      if (submission[4] === ZERO_HASH) {
+        step = "jrh";
+        action = () => this._miner.submitJustificationRootHash();
+      } else if (
+        opponentTimedOut &&
+        challengeStepCompleted.gte(opponentChallengeStepCompleted) &&
+        providedPreviousReputationUID.gte(opponentProvidedPreviousReputationUID) &&
+        !(challengeStepCompleted.eq(opponentChallengeStepCompleted) && providedPreviousReputationUID.eq(opponentProvidedPreviousReputationUID))
+      ) {
+        step = "invalidate";
+        action = () => this._miner.txManager.send(repCycle, "invalidateHash", [round.toString(), opponentIdx.toString()]);
+      } else if (opponent[4] !== ZERO_HASH && challengeStepCompleted.lte(opponentChallengeStepCompleted)) {
+        // It's our turn. Until lowerBound and upperBound meet, we're still binary searching for our first disagreement.
+        if (!new BN(submission[8].toString()).eq(new BN(submission[9].toString()))) {
+          step = "binarySearch";
+          action = () => this._miner.respondToBinarySearchForChallenge();
+        } else {
+          step = "challenge";
+          action = async () => {
+            const proofsCorrect = await this._miner.checkChallengeProofs();
+            if (!proofsCorrect) {
+              console.log("❗️ Our proofs for the disputed reputation don't match our JRH, so the challenge response would be rejected");
+              return undefined;
+            }
+            return this._miner.respondToChallenge();
+          };
+        }
+      }
+    }
 
-      // Confirm hash
-      // We explicitly use the previous nonce +1, in case we're using Infura and we end up
-      // querying a node that hasn't had the above transaction propagate to it yet.
-      tx = await repCycle.confirmNewHash(0, { gasLimit: 3500000, nonce: tx.nonce + 1 });
+    if (action === undefined) {
+      return undefined;
+    }
+    const actionKey = `${step}-${round.toString()}-${index.toString()}-${challengeStepCompleted.toString()}`;
+    if (actionKey === this._lastDisputeAction) {
+      return undefined;
+    }
 
+    console.log(`⚔️ Dispute step '${step}' in round ${round.toString()}, index ${index.toString()}`);
+    this._journal.record({ type: "disputeStep", step: actionKey });
+    const tx = await action();
+    // A step that failed (or that we didn't take after all) we try again with the next block. After a restart, we don't take a step
+    // again once it was mined. One that was sent but maybe never mined, we take again.
+    if (tx !== undefined) {
+      this._lastDisputeAction = actionKey;
+      this._journal.record({ type: "disputeStepDone", step: actionKey, tx });
+    }
+    if (step === "confirm") {
       console.log("✅ New reputation hash confirmed, via TX", tx);
-      // setTimeout(() => this.checkSubmissionWindow(), 3660000);
-      // console.log("⌛️ will next check in one hour and one minute");
-      setTimeout(() => this.checkSubmissionWindow(), 10000);
-    } else {
-      // Set a timeout for 3610 - (now - windowOpened)
-      setTimeout(() => this.checkSubmissionWindow(), 10000);
-      // const timeout = Math.max(3610 - (now - windowOpened), 10);
-      // console.log("⌛️ will next check in ", timeout, "seconds");
-      // setTimeout(() => this.checkSubmissionWindow(), timeout * 1000);
+      this.setPhase(PHASES.CONFIRMED);
     }
+    return tx;
   }
 }
 
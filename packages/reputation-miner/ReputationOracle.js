@@ -0,0 +1,434 @@
+const express = require("express");
+const ethers = require("ethers");
+const BN = require("bn.js");
+const web3Utils = require("web3-utils");
+
+const ReputationMiner = require("./ReputationMiner");
+const { getClaimRewardPayoutArgs } = require("./RewardPayout");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Answers queries about the last confirmed reputation state over HTTP:
+ *
+ * - `GET /:colonyAddress/:skillId/:userAddress`: a reputation, with the proof that it is in the reputation state
+ * - `GET /users/:userAddress/reputations`: every reputation of a user, in every colony and skill
+ * - `GET /users/:userAddress/history?colonyAddress=&skillId=`: how the reputations of a user changed over time, optionally only in a
+ *   colony and/or skill
+ * - `GET /colonies/:colonyAddress/skills/:skillId/users/:userAddress/breakdown`: why a reputation is what it is, i.e. how the last cycle
+ *   to change it (or the cycle that confirmed the state asked about) changed it, and which log entries made the change
+ * - `GET /colonies/:colonyAddress/skills/:skillId/leaderboard?page=0&pageSize=20`: the users with reputation in a colony and skill,
+ *   most reputation first
+ * - `GET /colonies/:colonyAddress/skills/:skillId/total`: the colony-wide reputation in a skill (i.e. that of user 0x0), with its proof
+ * - `GET /reputations?after=&pageSize=1000`: every reputation, a page at a time, in the order of the reputation tree. Each page says
+ *   which key to ask for the next one `after` (`next`, which is `null` on the last page). Ask for the pages after the first with the
+ *   `rootHash` the first was answered from, so they all come from the same state.
+ * - `GET /colonies/:colonyAddress/rewardPayouts/:payoutId/users/:userAddress`: everything a user needs to claim a reward payout,
+ *   including the arguments to call `claimRewardPayout` with
+ *
+ * It answers from a `ReputationSnapshot` it is given with `setSnapshot`, rather than from the miner's own state, which runs ahead of
+ * the confirmed one while a cycle is being mined. Every answer says which state it is from, with `reputationRootHash` and `nNodes`.
+ * Until it has been given a snapshot, it answers every query with a 503.
+ *
+ * Queries about reputations can also be about an earlier confirmed state, if it is in the `ReputationHistory`, by adding one of
+ * `?rootHash=`, `?block=` (the state that was confirmed as of that block) or `?cycle=` (the state the nth mining cycle to complete
+ * confirmed, counting from 1). Reward payouts are always answered from the state they were started in.
+ */
+class ReputationOracle {
+  /**
+   * Constructor for ReputationOracle
+   * @param {ReputationMiner}   miner     The miner whose connection to the chain to use, for what isn't in the reputation state
+   * @param {ReputationHistory}    [history]    The earlier confirmed states to answer from, if asked
+   * @param {ReputationTimeSeries} [timeSeries] How every reputation changed over time
+   */
+  constructor(miner, history, timeSeries) {
+    this.miner = miner;
+    this.history = history;
+    this.timeSeries = timeSeries;
+    // Every root hash confirmed up to `confirmationsCheckedTo`, from `miner.getConfirmedRootHashes`, oldest first
+    this.confirmations = [];
+    this.confirmationsCheckedTo = -1;
+    this.app = express();
+
+    this.app.get(
+      "/users/:userAddress/reputations",
+      this.route(async (snapshot, req) => {
+        const { userAddress } = req.params;
+        if (!web3Utils.isAddress(userAddress)) {
+          return [400, { message: "Invalid user address" }];
+        }
+        const reputations = (await ReputationOracle.findReputations(
+          snapshot,
+          ({ userAddress: keyUserAddress }) => keyUserAddress === userAddress.toLowerCase()
+        )).map(({ colonyAddress, skillId, reputationAmount }) => ({ colonyAddress, skillId, reputationAmount }));
+        return [200, { userAddress: userAddress.toLowerCase(), reputations }];
+      })
+    );
+
+    // This one isn't about a single reputation state, so it doesn't take a snapshot
+    this.app.get("/users/:userAddress/history", (req, res) => {
+      const { userAddress } = req.params;
+      const { colonyAddress, skillId } = req.query;
+      if (!web3Utils.isAddress(userAddress)) {
+        return res.status(400).send({ message: "Invalid user address" });
+      }
+      if ((colonyAddress !== undefined && !web3Utils.isAddress(colonyAddress)) || (skillId !== undefined && !/^\d+$/.test(skillId))) {
+        return res.status(400).send({ message: "Invalid colony address or skill id" });
+      }
+      if (this.timeSeries === undefined) {
+        return res.status(503).send({ message: "The oracle doesn't keep the history of reputations" });
+      }
+      const filter = { colonyAddress, skillId: skillId === undefined ? undefined : new BN(skillId).toString() };
+      return res.status(200).send({ userAddress: userAddress.toLowerCase(), series: this.timeSeries.getUserHistory(userAddress, filter) });
+    });
+
+    this.app.get("/colonies/:colonyAddress/skills/:skillId/users/:userAddress/breakdown", async (req, res) => {
+      const { colonyAddress, skillId, userAddress } = req.params;
+      const key = /^\d+$/.test(skillId) && (await ReputationMiner.getKey(colonyAddress, skillId, userAddress));
+      if (!key) {
+        return res.status(400).send({ message: "Invalid colony address, skill id or user address" });
+      }
+      if (this.timeSeries === undefined) {
+        return res.status(503).send({ message: "The oracle doesn't keep the history of reputations" });
+      }
+      let rootHash;
+      try {
+        rootHash = await this.getRootHash(req.query);
+      } catch (err) {
+        return res.status(err.status || 500).send({ message: err.message });
+      }
+      const breakdown = this.timeSeries.getBreakdown(key, rootHash);
+      if (breakdown === undefined) {
+        if (rootHash === undefined) {
+          return res.status(400).send({ message: "No cycle has changed that reputation" });
+        }
+        return res.status(400).send({ message: `The cycle that confirmed ${rootHash} didn't change that reputation` });
+      }
+      return res.status(200).send(breakdown);
+    });
+
+    this.app.get(
+      "/colonies/:colonyAddress/skills/:skillId/leaderboard",
+      this.route(async (snapshot, req) => {
+        const { colonyAddress, skillId } = req.params;
+        if (!web3Utils.isAddress(colonyAddress) || !/^\d+$/.test(skillId)) {
+          return [400, { message: "Invalid colony address or skill id" }];
+        }
+        const page = req.query.page === undefined ? 0 : Number(req.query.page);
+        const pageSize = req.query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.pageSize);
+        if (!Number.isInteger(page) || page < 0 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+          return [400, { message: `page has to be a non-negative integer, and pageSize an integer from 1 to ${MAX_PAGE_SIZE}` }];
+        }
+
+        const colony = colonyAddress.toLowerCase();
+        const skill = new BN(skillId).toString();
+        const users = (await ReputationOracle.findReputations(
+          snapshot,
+          reputation => reputation.colonyAddress === colony && reputation.skillId === skill && reputation.userAddress !== ZERO_ADDRESS
+        ))
+          .sort((a, b) => new BN(b.reputationAmount).cmp(new BN(a.reputationAmount)) || a.userAddress.localeCompare(b.userAddress))
+          .map(({ userAddress, reputationAmount }) => ({ userAddress, reputationAmount }));
+
+        return [
+          200,
+          {
+            colonyAddress: colony,
+            skillId: skill,
+            nUsers: users.length,
+            page,
+            pageSize,
+            users: users.slice(page * pageSize, (page + 1) * pageSize)
+          }
+        ];
+      })
+    );
+
+    this.app.get(
+      "/colonies/:colonyAddress/skills/:skillId/total",
+      this.route(async (snapshot, req) => ReputationOracle.getReputation(snapshot, req.params.colonyAddress, req.params.skillId, ZERO_ADDRESS))
+    );
+
+    this.app.get(
+      "/colonies/:colonyAddress/rewardPayouts/:payoutId/users/:userAddress",
+      this.route(async (snapshot, req) => {
+        const { colonyAddress, payoutId, userAddress } = req.params;
+        if (Object.keys(req.query).length > 0) {
+          return [400, { message: "Reward payouts are always answered from the reputation state they were started in" }];
+        }
+        if (!web3Utils.isAddress(colonyAddress) || !web3Utils.isAddress(userAddress) || !/^\d+$/.test(payoutId)) {
+          return [400, { message: "Invalid colony address, payout id or user address" }];
+        }
+        return this.getRewardPayoutClaim(colonyAddress.toLowerCase(), payoutId, userAddress.toLowerCase());
+      })
+    );
+
+    this.app.get(
+      "/reputations",
+      this.route(async (snapshot, req) => {
+        const after = req.query.after === undefined ? undefined : req.query.after.toLowerCase();
+        const pageSize = req.query.pageSize === undefined ? MAX_PAGE_SIZE : Number(req.query.pageSize);
+        if (after !== undefined && !/^0x[0-9a-f]{144}$/.test(after)) {
+          return [400, { message: "Invalid key" }];
+        }
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+          return [400, { message: `pageSize has to be an integer from 1 to ${MAX_PAGE_SIZE}` }];
+        }
+
+        // One more than a page, to tell whether there is another one
+        const reputations = [];
+        await snapshot.forEach((key, value) => {
+          const { amount, uid } = ReputationMiner.decodeValue(value);
+          reputations.push(Object.assign({ key }, ReputationMiner.decodeKey(key), { value, reputationAmount: amount, uid }));
+          return reputations.length <= pageSize;
+        }, after);
+        const next = reputations.length > pageSize ? reputations[pageSize - 1].key : null;
+        return [200, { pageSize, reputations: reputations.slice(0, pageSize), next }];
+      })
+    );
+
+    this.app.get(
+      "/:colonyAddress/:skillId/:userAddress",
+      this.route(async (snapshot, req) =>
+        ReputationOracle.getReputation(snapshot, req.params.colonyAddress, req.params.skillId, req.params.userAddress)
+      )
+    );
+  }
+
+  /**
+   * Start answering queries from `snapshot`. Queries that are already being answered are still answered from the snapshot they started with.
+   * @param {ReputationSnapshot} snapshot The snapshot of the last confirmed reputation state, or `undefined` to stop answering queries
+   */
+  setSnapshot(snapshot) {
+    this.snapshot = snapshot;
+  }
+
+  /**
+   * Start answering queries
+   * @param  {Number}  [port=3000] The port to listen on
+   * @param  {string}  [host]      The host (interface) to listen on. By default, every interface.
+   * @return {Promise}             Resolves to the server once it is listening
+   */
+  listen(port = 3000, host = undefined) {
+    return new Promise(resolve => {
+      this.server = this.app.listen(port, host, () => {
+        console.log("⭐️ Reputation oracle running on port ", this.server.address().port);
+        resolve(this.server);
+      });
+    });
+  }
+
+  /**
+   * Stop answering queries
+   * @return {Promise}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Make an express handler out of `handler`, which is called with the snapshot the query is about (the one that is current when it
+   * comes in, unless it asks about an earlier one) and the request. Whatever it answers is sent along with the root hash and number of
+   * nodes of that snapshot, or of the snapshot it says it answered from instead.
+   * @param  {Function} handler Resolves to the `[status, body, snapshot]` to answer with, where `snapshot` is optional
+   * @return {Function}
+   */
+  route(handler) {
+    return async (req, res) => {
+      if (this.snapshot === undefined) {
+        return res.status(503).send({ message: "No confirmed reputation state to answer from yet" });
+      }
+      let status;
+      let body;
+      let snapshot;
+      try {
+        snapshot = await this.getSnapshot(req.query);
+        [status, body, snapshot = snapshot] = await handler(snapshot, req);
+      } catch (err) {
+        [status, body] = [err.status || 500, { message: err.message }];
+      }
+      if (snapshot === undefined) {
+        return res.status(status).send(body);
+      }
+      return res.status(status).send(Object.assign({ reputationRootHash: snapshot.rootHash, nNodes: snapshot.nNodes }, body));
+    };
+  }
+
+  /**
+   * Get the snapshot a query is about
+   * @param  {Object}  query The query parameters: at most one of `rootHash`, `block` and `cycle`. Without any, the current snapshot.
+   * @return {Promise}       Resolves to the snapshot. Rejects with an error with a `status` to answer with if there is no such snapshot.
+   */
+  async getSnapshot(query) {
+    const { snapshot } = this;
+    const hash = await this.getRootHash(query);
+    if (hash === undefined || hash === snapshot.rootHash) {
+      return snapshot;
+    }
+    const earlierSnapshot = this.history && (await this.history.get(hash));
+    if (earlierSnapshot === undefined) {
+      throw Object.assign(new Error(`The oracle doesn't have reputation state ${hash}`), { status: 400 });
+    }
+    return earlierSnapshot;
+  }
+
+  /**
+   * Get the root hash of the state a query is about
+   * @param  {Object}  query The query parameters: at most one of `rootHash`, `block` and `cycle`
+   * @return {Promise}       Resolves to the root hash, or `undefined` if the query doesn't say, i.e. it's about the current state.
+   *                         Rejects with an error with a `status` to answer with if the query is invalid.
+   */
+  async getRootHash({ rootHash, block, cycle }) {
+    const fail = (status, message) => Object.assign(new Error(message), { status });
+    if ([rootHash, block, cycle].filter(parameter => parameter !== undefined).length > 1) {
+      throw fail(400, "Only one of rootHash, block and cycle can be given");
+    }
+
+    let hash;
+    if (rootHash !== undefined) {
+      if (!/^0x[0-9a-fA-F]{64}$/.test(rootHash)) {
+        throw fail(400, "Invalid root hash");
+      }
+      hash = rootHash.toLowerCase();
+    } else if (block !== undefined) {
+      if (!/^\d+$/.test(block)) {
+        throw fail(400, "Invalid block number");
+      }
+      const confirmed = (await this.getConfirmations()).filter(confirmation => confirmation.blockNumber <= Number(block));
+      if (confirmed.length === 0) {
+        throw fail(400, `No reputation root hash had been confirmed by block ${block}`);
+      }
+      ({ hash } = confirmed[confirmed.length - 1]);
+    } else if (cycle !== undefined) {
+      if (!/^[1-9]\d*$/.test(cycle)) {
+        throw fail(400, "Invalid cycle, the first one to complete is cycle 1");
+      }
+      const confirmations = await this.getConfirmations();
+      if (Number(cycle) > confirmations.length) {
+        throw fail(400, `Only ${confirmations.length} mining cycles have completed`);
+      }
+      ({ hash } = confirmations[Number(cycle) - 1]);
+    }
+    return hash;
+  }
+
+  /**
+   * Get every root hash confirmed so far, asking the chain only about the blocks since we last asked
+   * @return {Promise} Resolves to an array of `{ hash, nNodes, blockNumber }`, oldest first
+   */
+  async getConfirmations() {
+    // Queries that come in while we're asking wait for the same answer, rather than each adding what's new to `confirmations`
+    if (this.confirmationsUpdate === undefined) {
+      this.confirmationsUpdate = (async () => {
+        const latestBlock = await this.miner.realProvider.getBlockNumber();
+        if (latestBlock > this.confirmationsCheckedTo) {
+          const newConfirmations = await this.miner.getConfirmedRootHashes(this.confirmationsCheckedTo + 1, latestBlock);
+          this.confirmations = this.confirmations.concat(newConfirmations);
+          this.confirmationsCheckedTo = latestBlock;
+        }
+      })();
+    }
+    try {
+      await this.confirmationsUpdate;
+    } finally {
+      this.confirmationsUpdate = undefined;
+    }
+    return this.confirmations;
+  }
+
+  /**
+   * Find every reputation in a snapshot that `filter` accepts
+   * @param  {ReputationSnapshot} snapshot The snapshot to look in
+   * @param  {Function}           filter   Called with `{ key, colonyAddress, skillId, userAddress }` for every reputation
+   * @return {Promise}                     Resolves to the reputations `filter` accepted, as
+   *                                       `{ key, colonyAddress, skillId, userAddress, reputationAmount, uid }`
+   */
+  static async findReputations(snapshot, filter) {
+    const found = [];
+    await snapshot.forEach((key, value) => {
+      const reputation = Object.assign({ key }, ReputationMiner.decodeKey(key));
+      if (filter(reputation)) {
+        const { amount, uid } = ReputationMiner.decodeValue(value);
+        found.push(Object.assign(reputation, { reputationAmount: amount, uid }));
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Get a reputation and the proof that it is in a snapshot, to answer with
+   * @param  {ReputationSnapshot} snapshot      The snapshot to look in
+   * @param  {string}             colonyAddress The colony
+   * @param  {string}             skillId       The skill, in decimal
+   * @param  {string}             userAddress   The user
+   * @return {Promise}                          Resolves to the `[status, body]` to answer with; a 400 if there is no such reputation
+   */
+  static async getReputation(snapshot, colonyAddress, skillId, userAddress) {
+    const key = /^\d+$/.test(skillId) && (await ReputationMiner.getKey(colonyAddress, skillId, userAddress));
+    const proof = key && (await snapshot.getReputationProofObject(key));
+    if (!proof) {
+      return [400, { message: "Requested reputation does not exist or invalid request" }];
+    }
+    proof.reputationAmount = ReputationMiner.decodeValue(proof.value).amount;
+    return [200, proof];
+  }
+
+  /**
+   * Get what a user needs to claim a reward payout: their reputation and the colony's in the colony's root skill, with the proofs
+   * that they are in the reputation state the payout was started in, the tokens they have locked, and the arguments to call
+   * `claimRewardPayout` with.
+   * @param  {string}  colonyAddress The colony that started the payout
+   * @param  {string}  payoutId      The id of the payout, in decimal
+   * @param  {string}  userAddress   The user claiming
+   * @return {Promise}               Resolves to the `[status, body, snapshot]` to answer with; a 400 if the user can't claim
+   */
+  async getRewardPayoutClaim(colonyAddress, payoutId, userAddress) {
+    const { colonyNetwork, colonyContractDef, tokenLockingContractDef, realWallet } = this.miner;
+    const colony = new ethers.Contract(colonyAddress, colonyContractDef.abi, realWallet);
+    const [reputationState, totalTokens, amount, tokenAddress, blockTimestamp] = await colony.getRewardPayoutInfo(payoutId);
+    if (blockTimestamp.isZero()) {
+      return [400, { message: `Colony ${colonyAddress} has no reward payout ${payoutId}` }];
+    }
+    const snapshot = await this.getSnapshot({ rootHash: reputationState });
+
+    const [skillId] = await colony.getDomain(1);
+    const userReputationProof = await snapshot.getReputationProofObject(await ReputationMiner.getKey(colonyAddress, skillId, userAddress));
+    const totalReputationProof = await snapshot.getReputationProofObject(await ReputationMiner.getKey(colonyAddress, skillId, ZERO_ADDRESS));
+    if (!userReputationProof || !totalReputationProof) {
+      return [400, { message: `User ${userAddress} has no reputation in colony ${colonyAddress}, so can't claim its reward payouts` }];
+    }
+    const userReputation = ReputationMiner.decodeValue(userReputationProof.value).amount;
+    const totalReputation = ReputationMiner.decodeValue(totalReputationProof.value).amount;
+
+    const tokenLocking = new ethers.Contract(await colonyNetwork.getTokenLocking(), tokenLockingContractDef.abi, realWallet);
+    const [, userTokens] = await tokenLocking.getUserLock(await colony.getToken(), userAddress);
+    if (userTokens.isZero()) {
+      return [400, { message: `User ${userAddress} has no tokens of colony ${colonyAddress} locked, so can't claim its reward payouts` }];
+    }
+
+    const claim = getClaimRewardPayoutArgs({ payoutId, userReputation, userTokens, totalReputation, totalTokens, amount });
+    return [
+      200,
+      Object.assign(
+        {
+          colonyAddress,
+          payoutId,
+          userAddress,
+          tokenAddress,
+          skillId: skillId.toString(),
+          userReputation,
+          totalReputation,
+          userTokens: userTokens.toString(),
+          totalTokens: totalTokens.toString(),
+          amount: amount.toString()
+        },
+        claim,
+        { userReputationProof, totalReputationProof }
+      ),
+      snapshot
+    ];
+  }
+}
+
+module.exports = ReputationOracle;
@@ -0,0 +1,88 @@
+const { JsTreeBackend } = require("./TreeBackend");
+
+/**
+ * A reputation state that doesn't change, and the Patricia tree to prove its reputations against. The oracle answers from one of these,
+ * so what it hands out always matches a single root hash, whatever the miner is doing to its own state.
+ */
+class ReputationSnapshot {
+  /**
+   * Take a snapshot of the current reputation state of a miner. With the Javascript tree, the snapshot reads the state out of the miner's
+   * own node store, which keeps its nodes from now on, so nothing is copied. A `PatriciaTree` contract can't be read as it was before it
+   * changed, so its reputations are copied into a tree of the snapshot's own, in memory.
+   * @param  {ReputationMiner} miner The miner
+   * @return {Promise}               Resolves to the snapshot
+   */
+  static async take(miner) {
+    if (!miner.useJsTree) {
+      return ReputationSnapshot.create(await miner.getReputations());
+    }
+    return ReputationSnapshot.open(miner.reputationTree, await miner.reputationTree.keepState());
+  }
+
+  /**
+   * Get a snapshot of a state a Javascript tree kept
+   * @param  {JsTreeBackend} tree  The tree
+   * @param  {Object}        state The state, as its `keepState` gave it
+   * @return {Promise}             Resolves to the snapshot
+   */
+  static async open(tree, state) {
+    return ReputationSnapshot.of(await tree.openState(state), state);
+  }
+
+  /**
+   * Take a snapshot of reputations that aren't in a tree, by building one for them in memory
+   * @param  {Object}  reputations The reputations, by key, as `ReputationMiner.getReputations` gives them
+   * @return {Promise}             Resolves to the snapshot
+   */
+  static async create(reputations) {
+    const tree = new JsTreeBackend();
+    await tree.insertMany(Object.keys(reputations).map(key => [key, reputations[key]]));
+    return ReputationSnapshot.of(tree);
+  }
+
+  /**
+   * Get a snapshot of what is in a tree, which mustn't change from now on
+   * @param  {Object}  tree    The tree backend
+   * @param  {Object}  [state] The state of the miner's tree that `tree` reads, as its `keepState` gave it, if it is one
+   * @return {Promise}         Resolves to the snapshot
+   */
+  static async of(tree, state) {
+    return new ReputationSnapshot(tree, await tree.getRootHash(), await tree.size(), state);
+  }
+
+  constructor(tree, rootHash, nNodes, state) {
+    this.tree = tree;
+    this.rootHash = rootHash;
+    this.nNodes = nNodes;
+    // Which state of the miner's tree this is, so the history can keep it by that instead of copying it
+    this.state = state;
+    Object.freeze(this);
+  }
+
+  /**
+   * Call a function with every reputation in this state, in the order of its tree (i.e. by the hash of the key)
+   * @param  {Function} callback   Called as `callback(key, value)`. Returning `false` stops at that reputation.
+   * @param  {string}   [afterKey] If given, start with the reputation after this key in that order. It needn't be in the state.
+   * @return {Promise}
+   */
+  async forEach(callback, afterKey) {
+    await this.tree.forEach(callback, afterKey);
+  }
+
+  /**
+   * Get a reputation, with the proof that it is in this state
+   * @param  {string}  key The key of the reputation
+   * @return {Promise}     Resolves to `{ branchMask, siblings, key, value, reputationRootHash, nNodes }`,
+   *                       or `undefined` if this state doesn't have the reputation
+   */
+  async getReputationProofObject(key) {
+    const value = await this.tree.get(key);
+    if (value === undefined) {
+      return undefined;
+    }
+    const [branchMask, siblings] = await this.tree.getProof(key);
+    return { branchMask, siblings, key, value, reputationRootHash: this.rootHash, nNodes: this.nNodes };
+  }
+}
+
+module.exports = ReputationSnapshot;
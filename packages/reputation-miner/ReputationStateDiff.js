@@ -0,0 +1,135 @@
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const jsonfile = require("jsonfile");
+
+const ReputationMiner = require("./ReputationMiner");
+const patriciaJs = require("./patricia");
+const { FileNodeStore } = require("./NodeStore");
+
+/**
+ * Read a reputation state from a file the mining client wrote: either its reputations (e.g. `reputations.json`), or the snapshot of its
+ * Javascript Patricia tree (e.g. `reputations.tree.json`), whose root is checked while it is restored. If the client kept the nodes of
+ * the tree on disk, they aren't in the snapshot, and are read from the node file next to it (e.g. `reputations.nodes`) instead.
+ * @param  {string} file The file to read
+ * @return {Object}      The reputations, by key, as `ReputationMiner.getReputations` gives them
+ */
+function readReputations(file) {
+  const json = jsonfile.readFileSync(file);
+  if (json.root === undefined || json.rootEdge === undefined) {
+    return json;
+  }
+  let nodeStore;
+  if (json.nodes === undefined) {
+    const nodeFile = file.replace(/(\.tree)?(\.json)?$/, ".nodes");
+    if (!fs.existsSync(nodeFile)) {
+      throw new Error(`The nodes of the tree in ${file} aren't in it, so they should be in ${nodeFile}, which doesn't exist`);
+    }
+    nodeStore = new FileNodeStore(nodeFile);
+  }
+  const tree = new patriciaJs.PatriciaTree({ storeValues: true, nodeStore });
+  const reputations = {};
+  try {
+    tree.restore(json);
+    tree.forEach((key, value) => {
+      reputations[key] = value;
+    });
+  } finally {
+    if (nodeStore !== undefined) {
+      nodeStore.close();
+    }
+  }
+  return reputations;
+}
+
+function getJSON(url) {
+  return new Promise((resolve, reject) => {
+    const { get } = url.startsWith("https:") ? https : http;
+    get(url, res => {
+      let body = "";
+      res.on("data", chunk => {
+        body += chunk;
+      });
+      res.on("end", () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        } catch (err) {
+          reject(new Error(`${url} didn't respond with JSON: ${body}`));
+        }
+      });
+    }).on("error", reject);
+  });
+}
+
+/**
+ * Ask the reputation oracle of another miner for every reputation it has, a page at a time. The pages after the first are asked for
+ * from the state the first one was answered from, which the oracle can still answer from after it has moved on to another.
+ * @param  {string}  url Where the oracle is, e.g. `http://127.0.0.1:3000`
+ * @return {Promise}     Resolves to `{ rootHash, reputations }`: the root hash of the state, and its reputations, by key
+ */
+async function fetchReputationsFromOracle(url) {
+  const reputations = {};
+  let rootHash;
+  let nNodes;
+  let after;
+  do {
+    const query = rootHash === undefined ? "" : `?rootHash=${rootHash}&after=${after}`;
+    const { status, body } = await getJSON(`${url.replace(/\/$/, "")}/reputations${query}`); // eslint-disable-line no-await-in-loop
+    if (status !== 200) {
+      throw new Error(`The oracle couldn't answer: ${body.message}`);
+    }
+    ({ reputationRootHash: rootHash, nNodes } = body);
+    body.reputations.forEach(({ key, value }) => {
+      reputations[key] = value;
+    });
+    after = body.next;
+  } while (after !== null);
+
+  if (Object.keys(reputations).length !== nNodes) {
+    throw new Error(`The oracle gave ${Object.keys(reputations).length} reputations, but its state ${rootHash} has ${nNodes}`);
+  }
+  return { rootHash, reputations };
+}
+
+/**
+ * Compare two reputation states
+ * @param  {Object} a The first reputation state, by key, as `ReputationMiner.getReputations` gives it
+ * @param  {Object} b The second reputation state
+ * @return {Array}    Every key whose value differs, ordered by key, as
+ *                    `{ key, colonyAddress, skillId, userAddress, a, b, differences }`. `a` and `b` are the decoded values (`{ amount, uid }`),
+ *                    or `undefined` if the state doesn't have the key. `differences` names what differs: `amount`, `uid`, or `missing`.
+ */
+function diffReputations(a, b) {
+  const keys = Object.keys(Object.assign({}, a, b)).sort();
+  return keys.filter(key => a[key] !== b[key]).map(key => {
+    const decodedA = a[key] === undefined ? undefined : ReputationMiner.decodeValue(a[key]);
+    const decodedB = b[key] === undefined ? undefined : ReputationMiner.decodeValue(b[key]);
+    let differences;
+    if (decodedA === undefined || decodedB === undefined) {
+      differences = ["missing"];
+    } else {
+      differences = ["amount", "uid"].filter(field => decodedA[field] !== decodedB[field]);
+    }
+    return Object.assign({ key }, ReputationMiner.decodeKey(key), { a: decodedA, b: decodedB, differences });
+  });
+}
+
+/**
+ * Describe the output of `diffReputations`, one line per key
+ * @param  {Array}  diff The output of `diffReputations`
+ * @return {string}
+ */
+function formatDiff(diff) {
+  const formatValue = value => (value === undefined ? "(missing)" : `amount ${value.amount}, uid ${value.uid}`);
+  return diff
+    .map(
+      ({ colonyAddress, skillId, userAddress, a, b, differences }) =>
+        `colony ${colonyAddress} skill ${skillId} user ${userAddress}: ${formatValue(a)} vs ${formatValue(b)} (${differences.join(", ")})`
+    )
+    .join("\n");
+}
+
+exports.readReputations = readReputations;
+exports.fetchReputationsFromOracle = fetchReputationsFromOracle;
+exports.diffReputations = diffReputations;
+exports.formatDiff = formatDiff;
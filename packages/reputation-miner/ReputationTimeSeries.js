@@ -0,0 +1,150 @@
+const fs = require("fs");
+const BN = require("bn.js");
+
+const ReputationMiner = require("./ReputationMiner");
+
+/**
+ * How every reputation changed over time: for every confirmed cycle, the change in each reputation its log touched, the amount it
+ * resulted in, and the log entries that made the change. It's kept in a file with a line of JSON per cycle (e.g. `reputations.timeseries.jsonl`), which is only ever appended to,
+ * and in memory by user, to answer queries about a user's reputation history.
+ */
+class ReputationTimeSeries {
+  /**
+   * Constructor for ReputationTimeSeries
+   * @param {string} file The file to keep the time series in. It is created if it doesn't exist.
+   */
+  constructor(file) {
+    this.file = file;
+    this.rootHashes = new Set();
+    this.pointsByUser = new Map();
+    if (fs.existsSync(file)) {
+      const content = fs.readFileSync(file, "utf8");
+      // If we crashed in the middle of writing a line, the next one has to start on a line of its own
+      this.endsMidLine = content.length > 0 && !content.endsWith("\n");
+      content
+        .split("\n")
+        .filter(line => line.length > 0)
+        .forEach(line => {
+          let cycle;
+          try {
+            cycle = JSON.parse(line);
+          } catch (err) {
+            // The last line of a file that was being written when we crashed. The cycle will be recorded again.
+            return;
+          }
+          this.add(cycle);
+        });
+    }
+  }
+
+  /**
+   * Record what a confirmed cycle did to the reputations. Recording a cycle that's already recorded does nothing.
+   * @param {Object} confirmation `{ rootHash, blockNumber, timestamp }` of the confirmation of the cycle
+   * @param {Array}  updates      What the cycle did, as `ReputationMiner.getCycleUpdates` gives it
+   */
+  record({ rootHash, blockNumber, timestamp }, updates) {
+    if (this.rootHashes.has(rootHash)) {
+      return;
+    }
+    const cycle = {
+      rootHash,
+      blockNumber,
+      timestamp,
+      updates: updates.map(({ key, delta, amount, sources = [] }) => [
+        key,
+        delta,
+        amount,
+        sources.map(source => [source.logEntryIndex, source.userAddress, source.colonyAddress, source.skillId, source.amount])
+      ])
+    };
+    fs.appendFileSync(this.file, `${this.endsMidLine ? "\n" : ""}${JSON.stringify(cycle)}\n`);
+    this.endsMidLine = false;
+    this.add(cycle);
+  }
+
+  add(cycle) {
+    if (this.rootHashes.has(cycle.rootHash)) {
+      return;
+    }
+    const { rootHash, blockNumber, timestamp } = cycle;
+    this.rootHashes.add(rootHash);
+    cycle.updates.forEach(([key, delta, amount, sources]) => {
+      const { userAddress } = ReputationMiner.decodeKey(key);
+      if (!this.pointsByUser.has(userAddress)) {
+        this.pointsByUser.set(userAddress, []);
+      }
+      this.pointsByUser.get(userAddress).push({ key, rootHash, blockNumber, timestamp, delta, amount, sources });
+    });
+  }
+
+  /**
+   * Get every user whose reputation has a history
+   * @return {Array} Their addresses, in order
+   */
+  getUsers() {
+    return [...this.pointsByUser.keys()].sort();
+  }
+
+  /**
+   * Get the history of a user's reputation
+   * @param  {string} userAddress     The user
+   * @param  {Object} [filter]        `colonyAddress` and/or `skillId` (in decimal), to only get the history of some of their reputations
+   * @return {Array}                  A time series per colony and skill, ordered by colony and skill, as `{ colonyAddress, skillId, points }`.
+   *                                  `points` are `{ rootHash, blockNumber, timestamp, delta, amount }`, oldest first, one for each
+   *                                  cycle that touched the reputation.
+   */
+  getUserHistory(userAddress, { colonyAddress, skillId } = {}) {
+    const series = new Map();
+    (this.pointsByUser.get(userAddress.toLowerCase()) || []).forEach(({ key, rootHash, blockNumber, timestamp, delta, amount }) => {
+      const { colonyAddress: keyColonyAddress, skillId: keySkillId } = ReputationMiner.decodeKey(key);
+      if ((colonyAddress !== undefined && keyColonyAddress !== colonyAddress.toLowerCase()) || (skillId !== undefined && keySkillId !== skillId)) {
+        return;
+      }
+      if (!series.has(key)) {
+        series.set(key, { colonyAddress: keyColonyAddress, skillId: keySkillId, points: [] });
+      }
+      series.get(key).points.push({ rootHash, blockNumber, timestamp, delta, amount });
+    });
+    return [...series.keys()].sort().map(key => series.get(key));
+  }
+
+  /**
+   * Explain a reputation: how a cycle changed it, and which log entries made the change
+   * @param  {string} key        The key of the reputation
+   * @param  {string} [rootHash] The root hash the cycle confirmed. By default, the last cycle that changed the reputation.
+   * @return {Object}            `{ key, colonyAddress, skillId, userAddress, rootHash, blockNumber, timestamp, previousAmount, delta, amount,
+   *                             sources }`, with `sources` as `ReputationMiner.getCycleUpdates` gives them, or `undefined` if the cycle
+   *                             didn't change the reputation (or isn't recorded). As reputations are capped, `delta` can be less than
+   *                             what the sources add up to.
+   */
+  getBreakdown(key, rootHash) {
+    const { colonyAddress, skillId, userAddress } = ReputationMiner.decodeKey(key);
+    const points = (this.pointsByUser.get(userAddress) || []).filter(point => point.key === key);
+    const point = rootHash === undefined ? points[points.length - 1] : points.find(({ rootHash: pointRootHash }) => pointRootHash === rootHash);
+    if (point === undefined) {
+      return undefined;
+    }
+    return {
+      key,
+      colonyAddress,
+      skillId,
+      userAddress,
+      rootHash: point.rootHash,
+      blockNumber: point.blockNumber,
+      timestamp: point.timestamp,
+      previousAmount: new BN(point.amount).sub(new BN(point.delta)).toString(),
+      delta: point.delta,
+      amount: point.amount,
+      // Cycles recorded before we noted the sources of changes don't have them
+      sources: (point.sources || []).map(([logEntryIndex, sourceUserAddress, sourceColonyAddress, sourceSkillId, amount]) => ({
+        logEntryIndex,
+        userAddress: sourceUserAddress,
+        colonyAddress: sourceColonyAddress,
+        skillId: sourceSkillId,
+        amount
+      }))
+    };
+  }
+}
+
+module.exports = ReputationTimeSeries;
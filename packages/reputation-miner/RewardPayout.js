@@ -0,0 +1,63 @@
+const BN = require("bn.js");
+
+/**
+ * Integer square root
+ * @param  {BN}   bn          The number to take the square root of
+ * @param  {bool} [isGreater] Whether to round up rather than down, i.e. give the smallest number whose square is at least `bn`
+ * @return {BN}
+ */
+function bnSqrt(bn, isGreater) {
+  let a = bn.addn(1).divn(2);
+  let b = bn;
+  while (a.lt(b)) {
+    b = a;
+    a = bn
+      .div(a)
+      .add(a)
+      .divn(2);
+  }
+
+  if (isGreater && b.mul(b).lt(bn)) {
+    b = b.addn(1);
+  }
+  return b;
+}
+
+/**
+ * Work out the arguments of `claimRewardPayout`, with the square roots rounded the way the contract checks them: down for what is
+ * multiplied into the reward (the user's reputation and tokens, their product, and the amount paid out) and up for what it is divided by
+ * (the colony-wide reputation and tokens, and their product).
+ * @param  {Object} claim The `payoutId`, and the `userReputation`, `userTokens`, `totalReputation`, `totalTokens` and payout `amount`
+ *                        (as BNs, BigNumbers or decimal strings)
+ * @return {Object}       `{ args, squareRoots, reward }`, with `args` ready to pass to `claimRewardPayout` and `reward` what it will pay out,
+ *                        all as decimal strings
+ */
+function getClaimRewardPayoutArgs({ payoutId, userReputation, userTokens, totalReputation, totalTokens, amount }) {
+  const toBN = x => new BN(x.toString());
+  const squareRoots = [];
+  squareRoots[0] = bnSqrt(toBN(userReputation));
+  squareRoots[1] = bnSqrt(toBN(userTokens));
+  squareRoots[2] = bnSqrt(toBN(totalReputation), true);
+  squareRoots[3] = bnSqrt(toBN(totalTokens), true);
+  squareRoots[4] = bnSqrt(squareRoots[0].mul(squareRoots[1]));
+  squareRoots[5] = bnSqrt(squareRoots[2].mul(squareRoots[3]), true);
+  squareRoots[6] = bnSqrt(toBN(amount));
+
+  // As the contract works it out
+  const reward = squareRoots[5].isZero()
+    ? new BN(0)
+    : squareRoots[4]
+        .mul(squareRoots[6])
+        .div(squareRoots[5])
+        .sqr();
+
+  const squareRootStrings = squareRoots.map(squareRoot => squareRoot.toString());
+  return {
+    args: [payoutId.toString(), squareRootStrings, userReputation.toString(), totalReputation.toString()],
+    squareRoots: squareRootStrings,
+    reward: reward.toString()
+  };
+}
+
+exports.bnSqrt = bnSqrt;
+exports.getClaimRewardPayoutArgs = getClaimRewardPayoutArgs;
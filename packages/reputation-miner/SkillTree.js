@@ -0,0 +1,161 @@
+/**
+ * A local mirror of the skill tree kept by `ColonyNetwork`, so that the miner can look up the parents and children of a skill
+ * without a round trip to the chain for every reputation update it processes.
+ * Skills with a `SkillAdded` event were added with `addSkill`, and are added to the mirror exactly the way `addSkill` adds them to the
+ * tree on chain. Any other skill up to `getSkillCount` is a root skill (the root global skill, or the root domain skill of a colony).
+ */
+class SkillTree {
+  /**
+   * Constructor for SkillTree
+   * @param {Contract} colonyNetwork The `ColonyNetwork` contract to mirror the skill tree of
+   */
+  constructor(colonyNetwork) {
+    this.colonyNetwork = colonyNetwork;
+    this.lastBlock = -1;
+    this.skillCount = 0;
+    // The parent of every skill with a SkillAdded event we've seen, by skillId. This is all there is to persist.
+    this.addedSkills = {};
+    this.skills = {};
+  }
+
+  /**
+   * Catch up with any skills that have been added on chain since we last looked
+   * @return {Promise}
+   */
+  async update() {
+    // Every skill up to this count has had its SkillAdded event emitted by the time we read the block number below
+    const skillCount = await this.colonyNetwork.getSkillCount();
+    const blockNumber = await this.colonyNetwork.provider.getBlockNumber();
+
+    if (blockNumber > this.lastBlock) {
+      const skillAddedEvent = this.colonyNetwork.interface.events.SkillAdded;
+      const logs = await this.colonyNetwork.provider.getLogs({
+        address: this.colonyNetwork.address,
+        topics: skillAddedEvent.topics,
+        fromBlock: this.lastBlock + 1,
+        toBlock: blockNumber
+      });
+      logs.forEach(log => {
+        const { skillId, parentSkillId } = skillAddedEvent.parse(log.topics, log.data);
+        this.addedSkills[skillId.toString()] = parentSkillId.toNumber();
+      });
+      this.lastBlock = blockNumber;
+    }
+
+    this.addSkillsUpTo(skillCount.toNumber());
+  }
+
+  /**
+   * Add every skill we haven't got yet, up to and including `skillCount`, to the mirror
+   * @param {Number} skillCount The number of skills to have in the mirror
+   */
+  addSkillsUpTo(skillCount) {
+    for (let skillId = this.skillCount + 1; skillId <= skillCount; skillId += 1) {
+      const parentSkillId = this.addedSkills[skillId];
+      const skill = { nParents: 0, parents: [], children: [] };
+      this.skills[skillId] = skill;
+
+      if (parentSkillId !== undefined) {
+        // Mirrors `addSkill` in ColonyNetwork.sol. The new skill is a child of every skill on the way up to the root, but only
+        // the ones an integer power of two steps away from it are recorded as its parents.
+        skill.nParents = this.skills[parentSkillId].nParents + 1;
+        let ancestorId = parentSkillId;
+        let powerOfTwo = 1;
+        let treeWalkingCounter = 1;
+        let notAtRoot = true;
+        while (notAtRoot) {
+          const ancestor = this.skills[ancestorId];
+          ancestor.children.push(skillId);
+          if (treeWalkingCounter === powerOfTwo) {
+            skill.parents.push(ancestorId);
+            powerOfTwo *= 2;
+          }
+          if (ancestor.nParents === 0) {
+            notAtRoot = false;
+          } else {
+            [ancestorId] = ancestor.parents;
+          }
+          treeWalkingCounter += 1;
+        }
+      }
+    }
+    this.skillCount = Math.max(this.skillCount, skillCount);
+  }
+
+  /**
+   * Check whether a skill is in the mirror
+   * @param  {Number or BigNumber} skillId The id of the skill
+   * @return {Boolean}
+   */
+  hasSkill(skillId) {
+    return this.skills[skillId.toString()] !== undefined;
+  }
+
+  /**
+   * Get a skill from the mirror
+   * @param  {Number or BigNumber} skillId The id of the skill
+   * @return {Object}                      The skill, as `{ nParents, nChildren }`
+   */
+  getSkill(skillId) {
+    const skill = this.getSkillOrThrow(skillId);
+    return { nParents: skill.nParents, nChildren: skill.children.length };
+  }
+
+  /**
+   * Equivalent of `ColonyNetwork.getParentSkillId`
+   * @param  {Number or BigNumber} skillId The id of the skill
+   * @param  {Number or BigNumber} index   The index of the parent in the skill's array of parents
+   * @return {Number}                      The id of the parent skill
+   */
+  getParentSkillId(skillId, index) {
+    const parentSkillId = this.getSkillOrThrow(skillId).parents[index.toString()];
+    if (parentSkillId === undefined) {
+      throw new Error(`Skill ${skillId.toString()} has no parent at index ${index.toString()}`);
+    }
+    return parentSkillId;
+  }
+
+  /**
+   * Equivalent of `ColonyNetwork.getChildSkillId`
+   * @param  {Number or BigNumber} skillId The id of the skill
+   * @param  {Number or BigNumber} index   The index of the child in the skill's array of children
+   * @return {Number}                      The id of the child skill
+   */
+  getChildSkillId(skillId, index) {
+    const childSkillId = this.getSkillOrThrow(skillId).children[index.toString()];
+    if (childSkillId === undefined) {
+      throw new Error(`Skill ${skillId.toString()} has no child at index ${index.toString()}`);
+    }
+    return childSkillId;
+  }
+
+  getSkillOrThrow(skillId) {
+    const skill = this.skills[skillId.toString()];
+    if (skill === undefined) {
+      throw new Error(`Skill ${skillId.toString()} is not in the local skill tree, which knows of ${this.skillCount} skills`);
+    }
+    return skill;
+  }
+
+  /**
+   * Get what needs to be persisted to restore the mirror later with `load`
+   * @return {Object}
+   */
+  toJSON() {
+    return { lastBlock: this.lastBlock, skillCount: this.skillCount, addedSkills: this.addedSkills };
+  }
+
+  /**
+   * Restore the mirror from the output of `toJSON`
+   * @param {Object} json
+   */
+  load({ lastBlock, skillCount, addedSkills }) {
+    this.lastBlock = lastBlock;
+    this.skillCount = 0;
+    this.addedSkills = addedSkills;
+    this.skills = {};
+    this.addSkillsUpTo(skillCount);
+  }
+}
+
+module.exports = SkillTree;
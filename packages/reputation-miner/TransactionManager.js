@@ -0,0 +1,197 @@
+const ethers = require("ethers");
+
+// How long we give a transaction to be mined before sending it again paying more for gas, in milliseconds
+const DEFAULT_REPLACE_AFTER = 60000;
+// How many times we send it again before giving up on it
+const DEFAULT_MAX_REPLACEMENTS = 5;
+// How many times we try to hand a transaction to a node that isn't responding
+const DEFAULT_MAX_SEND_ATTEMPTS = 5;
+const DEFAULT_POLL_INTERVAL = 1000;
+// Nodes only accept a transaction in place of a pending one with the same nonce if it pays enough more for gas (10% more for geth,
+// 12.5% for parity), so each time we send it again we pay 20% more
+const GAS_PRICE_BUMP_PERCENT = 20;
+// Estimates don't account for gas that is refunded at the end of a transaction, so we allow for twice as much as the node estimates
+const GAS_LIMIT_MULTIPLIER = 2;
+
+// Errors that say more about the connection to the node than about the transaction
+const TRANSIENT_ERROR = /timeout|timed out|ECONNRESET|ECONNREFUSED|socket hang up|bad response|invalid json/i;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends the miner's transactions and sees them through to being mined. Nonces are allocated here rather than by the node, so a node
+ * that hasn't seen our last transaction yet (e.g. one of several behind a load balancer) doesn't give the next one the same nonce.
+ * A transaction that isn't mined in time is sent again with the same nonce, paying more for gas, so a slow or busy network doesn't make
+ * us miss a deadline in a dispute. A transaction that reverts is reported as an error, rather than as a transaction hash.
+ */
+class TransactionManager {
+  /**
+   * Constructor for TransactionManager
+   * @param {Object} wallet                                        The signer to send the transactions from, with a `provider`
+   * @param {Number} [replaceAfter=DEFAULT_REPLACE_AFTER]          How long to wait for a transaction to be mined before replacing it, in milliseconds
+   * @param {Number} [maxReplacements=DEFAULT_MAX_REPLACEMENTS]    How many times to replace a transaction before giving up on it
+   * @param {Number} [maxSendAttempts=DEFAULT_MAX_SEND_ATTEMPTS]   How many times to try sending a transaction while the node isn't responding
+   * @param {Number} [pollInterval=DEFAULT_POLL_INTERVAL]          How often to check whether a transaction has been mined, in milliseconds
+   */
+  constructor(
+    wallet,
+    {
+      replaceAfter = DEFAULT_REPLACE_AFTER,
+      maxReplacements = DEFAULT_MAX_REPLACEMENTS,
+      maxSendAttempts = DEFAULT_MAX_SEND_ATTEMPTS,
+      pollInterval = DEFAULT_POLL_INTERVAL
+    } = {}
+  ) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.replaceAfter = replaceAfter;
+    this.maxReplacements = maxReplacements;
+    this.maxSendAttempts = maxSendAttempts;
+    this.pollInterval = pollInterval;
+  }
+
+  /**
+   * Call a function of a contract in a transaction, and wait for it to be mined
+   * @param  {Contract} contract       The contract, as an ethers `Contract`
+   * @param  {string}   functionName   The function to call
+   * @param  {Array}    args           What to call it with
+   * @param  {Number}   [gasLimit]     The gas limit. By default, twice what the node estimates (but no more than the block gas limit).
+   * @param  {string}   [description]  What the transaction does, for logs and errors. By default, the name of the function.
+   * @return {Promise}                 Resolves to the hash of the transaction once it has been mined. Rejects without sending it if the
+   *                                   node expects it to fail, with `wouldFail` set on the error. Rejects if it reverted, with the hash as
+   *                                   `tx` and the receipt as `receipt` on the error, or if it couldn't be sent or wasn't mined.
+   */
+  async send(contract, functionName, args, { gasLimit, description = functionName } = {}) {
+    let tx = { to: contract.address, data: contract.interface.functions[functionName](...args).data };
+    tx.gasLimit = gasLimit !== undefined ? ethers.utils.bigNumberify(gasLimit) : await this.estimateGasLimit(tx, description);
+    tx.gasPrice = await this.provider.getGasPrice();
+    tx.nonce = await this.allocateNonce();
+
+    // Every transaction we've sent with this nonce. Any of them might be the one that is mined.
+    const hashes = [];
+    let receipt;
+    for (let replacements = 0; receipt === undefined; replacements += 1) {
+      if (replacements > this.maxReplacements) {
+        throw new Error(`${description} wasn't mined after sending it ${replacements} times, the last paying ${tx.gasPrice.toString()} wei per gas`);
+      }
+      if (replacements > 0) {
+        tx = Object.assign({}, tx, { gasPrice: tx.gasPrice.mul(100 + GAS_PRICE_BUMP_PERCENT).div(100) });
+        console.log(`⛽️ ${description} hasn't been mined yet, sending it again paying ${tx.gasPrice.toString()} wei per gas`);
+      }
+      let hash;
+      ({ hash, tx } = await this.broadcast(tx, description, hashes.length > 0)); // eslint-disable-line no-await-in-loop
+      if (hash !== undefined) {
+        hashes.push(hash);
+      }
+      receipt = await this.waitForReceipt(hashes, this.replaceAfter); // eslint-disable-line no-await-in-loop
+    }
+
+    if (receipt.status === 0) {
+      const err = new Error(`${description} reverted in transaction ${receipt.transactionHash}`);
+      err.tx = receipt.transactionHash;
+      err.receipt = receipt;
+      throw err;
+    }
+    return receipt.transactionHash;
+  }
+
+  /**
+   * Get the nonce for our next transaction. That's the one after the last we sent, unless the node knows of later transactions from
+   * us (e.g. sent by something else using the same account).
+   * @return {Promise} Resolves to the nonce
+   */
+  async allocateNonce() {
+    const pendingCount = await this.provider.getTransactionCount(this.wallet.address, "pending");
+    const nonce = this.nextNonce === undefined ? pendingCount : Math.max(this.nextNonce, pendingCount);
+    this.nextNonce = nonce + 1;
+    return nonce;
+  }
+
+  /**
+   * Work out the gas limit for a transaction: twice what the node estimates, but no more than the block gas limit
+   * @param  {Object}  tx          The transaction
+   * @param  {string}  description What the transaction does
+   * @return {Promise}             Resolves to the gas limit. Rejects if the node expects the transaction to fail, with `wouldFail` set on
+   *                               the error.
+   */
+  async estimateGasLimit(tx, description) {
+    let estimate;
+    try {
+      estimate = await this.wallet.estimateGas(tx);
+    } catch (err) {
+      err.message = `${description} would fail: ${err.message}`;
+      err.wouldFail = true;
+      throw err;
+    }
+    // Some nodes (e.g. ganache) estimate nothing at all for a transaction that would fail, rather than reporting the failure
+    if (estimate.isZero()) {
+      throw Object.assign(new Error(`${description} would fail: the node estimates it uses no gas`), { wouldFail: true });
+    }
+    const { gasLimit: blockGasLimit } = await this.provider.getBlock("latest");
+    const gasLimit = estimate.mul(GAS_LIMIT_MULTIPLIER);
+    return gasLimit.gt(blockGasLimit) ? blockGasLimit : gasLimit;
+  }
+
+  /**
+   * Hand a transaction to the node, trying again while the node isn't responding
+   * @param  {Object}  tx          The transaction
+   * @param  {string}  description What the transaction does
+   * @param  {bool}    replacing   Whether we've already sent a transaction with this nonce
+   * @return {Promise}             Resolves to `{ hash, tx }`, with the transaction as it was sent (its nonce and gas price can have changed).
+   *                               `hash` is `undefined` if it wasn't sent because a transaction we already sent with this nonce has been mined.
+   */
+  async broadcast(tx, description, replacing) {
+    let sending = tx;
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        const sent = await this.wallet.sendTransaction(sending); // eslint-disable-line no-await-in-loop
+        // A signer for an account the node holds the key of gives us the hash, an ethers Wallet the transaction
+        return { hash: typeof sent === "string" ? sent : sent.hash, tx: sending };
+      } catch (err) {
+        if (replacing && /nonce|known transaction|already known/i.test(err.message)) {
+          return { hash: undefined, tx: sending };
+        }
+        if (/nonce/i.test(err.message) && attempt < this.maxSendAttempts) {
+          // Something else has used the nonce we were given
+          this.nextNonce = undefined;
+          sending = Object.assign({}, sending, { nonce: await this.allocateNonce() }); // eslint-disable-line no-await-in-loop
+        } else if (/underpriced/i.test(err.message) && attempt < this.maxSendAttempts) {
+          sending = Object.assign({}, sending, { gasPrice: sending.gasPrice.mul(100 + GAS_PRICE_BUMP_PERCENT).div(100) });
+        } else if (!TRANSIENT_ERROR.test(err.message) || attempt >= this.maxSendAttempts) {
+          if (!replacing) {
+            // The nonce was never used, so our next transaction has to use it
+            this.nextNonce = undefined;
+          }
+          err.message = `${description} couldn't be sent: ${err.message}`;
+          throw err;
+        } else {
+          console.log(`❗️ Couldn't reach the node to send ${description}, trying again:`, err.message);
+          await sleep(this.pollInterval); // eslint-disable-line no-await-in-loop
+        }
+      }
+    }
+  }
+
+  /**
+   * Wait for any of the transactions with the same nonce to be mined
+   * @param  {Array}   hashes  The hashes of the transactions
+   * @param  {Number}  timeout How long to wait, in milliseconds
+   * @return {Promise}         Resolves to the receipt of the transaction that was mined, or `undefined` if none was in time
+   */
+  async waitForReceipt(hashes, timeout) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const receipts = await Promise.all(hashes.map(hash => this.provider.getTransactionReceipt(hash))); // eslint-disable-line no-await-in-loop
+      const receipt = receipts.find(r => r !== null);
+      if (receipt !== undefined) {
+        return receipt;
+      }
+      if (Date.now() >= deadline) {
+        return undefined;
+      }
+      await sleep(this.pollInterval); // eslint-disable-line no-await-in-loop
+    }
+  }
+}
+
+module.exports = TransactionManager;
@@ -0,0 +1,266 @@
+const ganache = require("ganache-core");
+const ethers = require("ethers");
+
+const patriciaJs = require("./patricia");
+
+// We don't need the account address right now for this secret key, but I'm leaving it in in case we
+// do in the future.
+// const accountAddress = "0xbb46703786c2049d4d6dd43f5b4edf52a20fefe4";
+const secretKey = "0xe5c050bb6bfdd9c29397b8fe6ed59ad2f7df83d6fd213b473f84b489205d9fc7";
+
+// Every insert into a `PatriciaTree` contract comfortably fits into this
+const INSERT_GAS_LIMIT = 4000000;
+
+// Branch masks come back as a BN from the Javascript tree and as a BigNumber from the contract. Backends give them as a hex string.
+function toHexString(bnLike) {
+  return ethers.utils.bigNumberify(bnLike.toString()).toHexString();
+}
+
+/**
+ * Create a wallet on a fresh in-process ganache chain, to deploy `PatriciaTree` contracts with
+ * @return {Wallet}
+ */
+function createGanacheWallet() {
+  const ganacheProvider = ganache.provider({
+    network_id: 515,
+    vmErrorsOnRPCResponse: false,
+    locked: false,
+    verbose: true,
+    accounts: [
+      {
+        balance: "0x10000000000000000000000000",
+        secretKey
+      }
+    ]
+  });
+  return new ethers.Wallet(secretKey, new ethers.providers.Web3Provider(ganacheProvider));
+}
+
+/**
+ * A reputation tree (or justification tree) backend. Every backend implements the same interface as this one, and gives the same root
+ * hashes and proofs for the same contents, which is what `tree-backend-test.js` checks. All methods return promises.
+ * This one keeps the tree in the Javascript Patricia tree, with its nodes in memory unless given a `nodeStore` (see NodeStore.js).
+ * It is also the only one that can keep a state to read later, after the tree has changed (`keepState` and `openState`).
+ */
+class JsTreeBackend {
+  /**
+   * Constructor for JsTreeBackend
+   * @param {Object} [nodeStore] Where to keep the nodes of the tree, if not in memory
+   */
+  constructor({ nodeStore } = {}) {
+    this.tree = new patriciaJs.PatriciaTree({ storeValues: true, nodeStore });
+  }
+
+  /**
+   * Insert (or update) a key
+   * @param  {string}  key   The key, as a hex string
+   * @param  {string}  value The value, as a hex string
+   * @return {Promise}
+   */
+  async insert(key, value) {
+    this.tree.insert(key, value);
+  }
+
+  /**
+   * Insert (or update) many keys, in turn
+   * @param  {Array}   entries The `[key, value]` pairs to insert
+   * @return {Promise}
+   */
+  async insertMany(entries) {
+    this.tree.insertMany(entries);
+  }
+
+  /**
+   * Get the value of a key
+   * @param  {string}  key The key
+   * @return {Promise}     Resolves to the value, or `undefined` if the key isn't in the tree
+   */
+  async get(key) {
+    return this.tree.get(key);
+  }
+
+  /**
+   * Get the number of keys in the tree
+   * @return {Promise} Resolves to a Number
+   */
+  async size() {
+    return this.tree.size();
+  }
+
+  /**
+   * Get every key in the tree with its value
+   * @return {Promise} Resolves to an array of `[key, value]` pairs
+   */
+  async entries() {
+    return this.tree.entries();
+  }
+
+  /**
+   * Call a function with every key in the tree and its value, in the order of the tree (i.e. by the hash of the key), without getting
+   * them all at once
+   * @param  {Function} callback   Called as `callback(key, value)`. Returning `false` stops at that key.
+   * @param  {string}   [afterKey] If given, start with the key after this one in that order. It needn't be in the tree.
+   * @return {Promise}
+   */
+  async forEach(callback, afterKey) {
+    this.tree.forEach(callback, afterKey);
+  }
+
+  /**
+   * Get the root hash of the tree
+   * @return {Promise} Resolves to the root hash, as a 32 byte hex string
+   */
+  async getRootHash() {
+    return this.tree.getRootHash();
+  }
+
+  /**
+   * Get the proof that a key is in the tree. Rejects if it isn't.
+   * @param  {string}  key The key
+   * @return {Promise}     Resolves to `[branchMask, siblings]`, with the branch mask as a hex string
+   */
+  async getProof(key) {
+    const [branchMask, siblings] = this.tree.getProof(key);
+    return [toHexString(branchMask), siblings];
+  }
+
+  /**
+   * Get the root hash of the tree that `value` at `key` would be in, given the proof `getProof` gave for `key`
+   * @param  {string}  key        The key
+   * @param  {string}  value      The value
+   * @param  {string}  branchMask The branch mask of the proof
+   * @param  {Array}   siblings   The siblings of the proof
+   * @return {Promise}            Resolves to the implied root hash
+   */
+  async getImpliedRoot(key, value, branchMask, siblings) {
+    return this.tree.getImpliedRoot(key, value, branchMask, siblings);
+  }
+
+  /**
+   * Get everything `restore` needs to rebuild the tree, as plain JSON
+   * @return {Promise}
+   */
+  async snapshot() {
+    return this.tree.serialize();
+  }
+
+  /**
+   * Replace the contents of the tree with those of a snapshot. Rejects, leaving the tree as it was, if the snapshot doesn't check out.
+   * @param  {Object}  snapshot The output of `snapshot`
+   * @return {Promise}
+   */
+  async restore(snapshot) {
+    this.tree.restore(snapshot);
+  }
+
+  /**
+   * Keep the current state of the tree in its node store from now on, however the tree changes, so it can be read with `openState`
+   * @return {Promise} Resolves to the state, as `openState` takes it: `{ root, rootEdge, size }`, as plain JSON
+   */
+  async keepState() {
+    return this.tree.keepNodes();
+  }
+
+  /**
+   * Get a tree that reads a state this one kept, out of the same node store. The tree it gives shouldn't be changed.
+   * @param  {Object}  state The state, as `keepState` gave it
+   * @return {Promise}       Resolves to the tree
+   */
+  async openState(state) {
+    const tree = new JsTreeBackend({ nodeStore: this.tree.nodeStore });
+    tree.tree.load(state);
+    return tree;
+  }
+}
+
+/**
+ * Keeps the tree in a `PatriciaTree` contract on an in-process ganache chain. The contract only knows the hashes of the values,
+ * so we keep the values next to it for `get`.
+ */
+class SolidityTreeBackend {
+  /**
+   * Deploy a new, empty `PatriciaTree` contract to keep a tree in
+   * @param  {Object}  contractDef The contract definition of `PatriciaTree`, as given by the contract loader (with the bytecode)
+   * @param  {Wallet}  wallet      The wallet to deploy from, usually from `createGanacheWallet`
+   * @return {Promise}             Resolves to the backend
+   */
+  static async deploy(contractDef, wallet) {
+    const deployTx = ethers.Contract.getDeployTransaction(contractDef.bytecode, contractDef.abi);
+    const tx = await wallet.sendTransaction(deployTx);
+    const contract = new ethers.Contract(ethers.utils.getContractAddress(tx), contractDef.abi, wallet);
+    return new SolidityTreeBackend(contract, contractDef, wallet);
+  }
+
+  constructor(contract, contractDef, wallet) {
+    this.contract = contract;
+    this.contractDef = contractDef;
+    this.wallet = wallet;
+    this.values = {};
+  }
+
+  async insert(key, value) {
+    await this.contract.insert(key, value, { gasLimit: INSERT_GAS_LIMIT });
+    this.values[key] = value;
+  }
+
+  async insertMany(entries) {
+    for (let i = 0; i < entries.length; i += 1) {
+      await this.insert(...entries[i]); // eslint-disable-line no-await-in-loop
+    }
+  }
+
+  async get(key) {
+    return this.values[key];
+  }
+
+  async size() {
+    return Object.keys(this.values).length;
+  }
+
+  async entries() {
+    return Object.keys(this.values).map(key => [key, this.values[key]]);
+  }
+
+  async forEach(callback, afterKey) {
+    // A key's place in the tree is the hash of the key
+    const after = afterKey === undefined ? undefined : ethers.utils.keccak256(afterKey);
+    Object.keys(this.values)
+      .map(key => [ethers.utils.keccak256(key), key])
+      .filter(([keyHash]) => after === undefined || keyHash > after)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .every(([, key]) => callback(key, this.values[key]) !== false);
+  }
+
+  async getRootHash() {
+    return this.contract.getRootHash();
+  }
+
+  async getProof(key) {
+    const [branchMask, siblings] = await this.contract.getProof(key);
+    return [toHexString(branchMask), siblings];
+  }
+
+  async getImpliedRoot(key, value, branchMask, siblings) {
+    return this.contract.getImpliedRoot(key, value, branchMask, siblings);
+  }
+
+  async snapshot() {
+    return { root: await this.getRootHash(), entries: Object.keys(this.values).map(key => [key, this.values[key]]) };
+  }
+
+  // The contract can't be given its nodes, so this inserts every key again, into a new contract
+  async restore(snapshot) {
+    const restored = await SolidityTreeBackend.deploy(this.contractDef, this.wallet);
+    await restored.insertMany(snapshot.entries);
+    const root = await restored.getRootHash();
+    if (root !== snapshot.root) {
+      throw new Error(`The stored root ${snapshot.root} is not the root of the stored entries, ${root}`);
+    }
+    this.contract = restored.contract;
+    this.values = restored.values;
+  }
+}
+
+exports.createGanacheWallet = createGanacheWallet;
+exports.JsTreeBackend = JsTreeBackend;
+exports.SolidityTreeBackend = SolidityTreeBackend;
@@ -0,0 +1,38 @@
+const { argv } = require("yargs");
+
+const { readReputations, fetchReputationsFromOracle, diffReputations, formatDiff } = require("../ReputationStateDiff");
+
+const { a, b, oracle } = argv;
+
+if (!a || (!b && !oracle) || (b && oracle)) {
+  console.log("❗️ You have to specify --a and one of --b or --oracle on the command line!");
+  console.log("--a and --b are reputation state files (e.g. reputations.json or reputations.tree.json), --oracle is the URL of a reputation oracle");
+  process.exit(1);
+}
+
+async function main() {
+  const reputationsA = readReputations(a);
+  let reputationsB;
+  if (oracle) {
+    console.log(`Asking ${oracle} for every reputation it has`);
+    let rootHash;
+    ({ rootHash, reputations: reputationsB } = await fetchReputationsFromOracle(oracle));
+    console.log(`Comparing with the ${Object.keys(reputationsB).length} reputations in its state ${rootHash}`);
+  } else {
+    reputationsB = readReputations(b);
+  }
+
+  const diff = diffReputations(reputationsA, reputationsB);
+  if (diff.length === 0) {
+    console.log("✅ The reputation states agree");
+    return;
+  }
+  console.log(formatDiff(diff));
+  console.log(`❌ ${diff.length} reputations differ`);
+  process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.log("❗️", err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,30 @@
+const { argv } = require("yargs");
+
+const ReputationTimeSeries = require("../ReputationTimeSeries");
+
+const { file, user, colonyAddress, skillId, format = "json" } = argv;
+
+if (!file || !["json", "csv"].includes(format)) {
+  console.log("❗️ You have to specify --file on the command line, and --format can only be json or csv!");
+  console.log("--file is the reputation state file of a miner (e.g. reputations.json), whose reputation history to export");
+  console.log("--user, --colonyAddress and --skillId only export the history of that user, in that colony and skill");
+  process.exit(1);
+}
+
+const timeSeries = new ReputationTimeSeries(file.replace(/(\.json)?$/, ".timeseries.jsonl"));
+const filter = { colonyAddress, skillId: skillId === undefined ? undefined : skillId.toString() };
+const users = user ? [user.toLowerCase()] : timeSeries.getUsers();
+const histories = users.map(userAddress => ({ userAddress, series: timeSeries.getUserHistory(userAddress, filter) }));
+
+if (format === "json") {
+  console.log(JSON.stringify(histories, null, 2));
+} else {
+  console.log("userAddress,colonyAddress,skillId,rootHash,blockNumber,timestamp,delta,amount");
+  histories.forEach(({ userAddress, series }) =>
+    series.forEach(({ colonyAddress: colony, skillId: skill, points }) =>
+      points.forEach(({ rootHash, blockNumber, timestamp, delta, amount }) =>
+        console.log([userAddress, colony, skill, rootHash, blockNumber, timestamp, delta, amount].join(","))
+      )
+    )
+  );
+}
@@ -1,14 +1,41 @@
 const path = require("path");
-const { argv } = require("yargs");
+const BN = require("bn.js");
+// Amounts are kept as strings, so they don't lose precision as numbers
+const { argv } = require("yargs").string("amount");
 const { TruffleLoader } = require("@colony/colony-js-contract-loader-fs");
 const ethers = require("ethers");
 
+const ReputationMiner = require("../ReputationMiner");
 const ReputationMinerClient = require("../ReputationMinerClient");
 
-const { file, minerAddress, colonyNetworkAddress, rinkeby, privateKey, seed } = argv;
+const {
+  file,
+  minerAddress,
+  colonyNetworkAddress,
+  rinkeby,
+  privateKey,
+  seed,
+  syncFrom,
+  useJsTree,
+  diskNodeStore,
+  oraclePort,
+  oracleHost,
+  observe,
+  alertWebhook,
+  exitOnAlert,
+  amount
+} = argv;
+const [command] = argv._;
 
-if ((!minerAddress && !privateKey) || !colonyNetworkAddress || !file) {
-  console.log("❗️ You have to specify all of ( --minerAddress or --privateKey ), --colonyNetworkAddress and --file on the command line!");
+if (command !== undefined) {
+  const validCommand = ["stake", "unstake", "status"].includes(command) && (command !== "stake" || amount);
+  if (!validCommand || (!minerAddress && !privateKey) || !colonyNetworkAddress) {
+    console.log("❗️ The commands are stake, unstake and status, and need ( --minerAddress or --privateKey ) and --colonyNetworkAddress!");
+    console.log("--amount is the amount of CLNY to stake (which needs it) or withdraw, e.g. 1.5. Without it, unstake withdraws everything staked.");
+    process.exit(1);
+  }
+} else if ((!minerAddress && !privateKey && !observe) || !colonyNetworkAddress || !file) {
+  console.log("❗️ You have to specify all of ( --minerAddress, --privateKey or --observe ), --colonyNetworkAddress and --file!");
   process.exit();
 }
 
@@ -21,5 +48,74 @@ if (rinkeby) {
   provider = new ethers.providers.InfuraProvider("rinkeby");
 }
 
-const client = new ReputationMinerClient({ file, loader, minerAddress, privateKey, provider, seed });
-client.initialise(colonyNetworkAddress);
+async function printStake(miner) {
+  const { staked, unstaked, entries, locked, submittedHash } = await miner.getStake();
+  console.log("👤 Miner:", miner.realWallet.address);
+  console.log(`🔒 Staked: ${ethers.utils.formatEther(staked.toString())} CLNY, allowing ${entries.toString()} entries in each mining cycle`);
+  console.log(`💰 Not staked: ${ethers.utils.formatEther(unstaked.toString())} CLNY`);
+  if (locked) {
+    console.log("❗️ A colony has locked our CLNY, so none can be staked or withdrawn until it's unlocked there");
+  }
+  if (submittedHash !== undefined) {
+    console.log(`❗️ We've submitted ${submittedHash} to the current mining cycle, so nothing can be withdrawn until the cycle is confirmed`);
+  }
+}
+
+async function manageStake() {
+  const miner = new ReputationMiner({ loader, minerAddress, privateKey, provider, useJsTree: true });
+  await miner.initialise(colonyNetworkAddress);
+
+  if (command === "stake" || command === "unstake") {
+    const { staked, unstaked, locked, submittedHash } = await miner.getStake();
+    // Without an amount, we withdraw everything we have staked (stake always has one)
+    const value = amount === undefined ? staked : new BN(ethers.utils.parseEther(amount).toString());
+    if (value.isZero()) {
+      throw new Error(`There's nothing to ${command}`);
+    }
+    if (locked) {
+      throw new Error(`A colony has locked our CLNY, so we can't ${command} until it's unlocked there`);
+    }
+    if (command === "stake") {
+      if (value.gt(unstaked)) {
+        throw new Error(`We only have ${ethers.utils.formatEther(unstaked.toString())} CLNY to stake`);
+      }
+      console.log("⏳ Staking", ethers.utils.formatEther(value.toString()), "CLNY");
+      await miner.stake(value);
+    } else {
+      if (value.gt(staked)) {
+        throw new Error(`We only have ${ethers.utils.formatEther(staked.toString())} CLNY staked`);
+      }
+      if (submittedHash !== undefined) {
+        throw new Error(`We've submitted ${submittedHash} to the current mining cycle, so we can't withdraw until the cycle is confirmed`);
+      }
+      console.log("⏳ Withdrawing", ethers.utils.formatEther(value.toString()), "CLNY");
+      await miner.unstake(value);
+    }
+  }
+  await printStake(miner);
+}
+
+if (command !== undefined) {
+  manageStake().catch(err => {
+    console.log("❗️", err.message);
+    process.exit(1);
+  });
+} else {
+  const client = new ReputationMinerClient({
+    file,
+    loader,
+    minerAddress,
+    privateKey,
+    provider,
+    seed,
+    syncFrom,
+    useJsTree,
+    diskNodeStore,
+    oraclePort,
+    oracleHost,
+    observe,
+    alertWebhook,
+    exitOnAlert
+  });
+  client.initialise(colonyNetworkAddress);
+}
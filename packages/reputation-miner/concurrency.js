@@ -0,0 +1,26 @@
+/**
+ * Call `task` with every index from `0` to `nItems - 1`, with no more than `concurrency` calls in flight at the same time. A call starts
+ * as soon as another one is done, rather than in batches, so one slow request doesn't hold up the ones after it.
+ * @param  {Number}   nItems      How many items there are
+ * @param  {Number}   concurrency The maximum number of calls to have in flight at the same time
+ * @param  {Function} task        Called with the index of each item, returning a Promise that resolves once it's done with it
+ * @return {Promise}              Resolves once every call is done, or rejects as soon as one of them does
+ */
+async function forEachConcurrently(nItems, concurrency, task) {
+  let next = 0;
+  // Each worker keeps taking the next item nobody has taken yet
+  const worker = async () => {
+    while (next < nItems) {
+      const i = next;
+      next += 1;
+      await task(i); // eslint-disable-line no-await-in-loop
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, nItems); i += 1) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+}
+
+module.exports = { forEachConcurrently };
@@ -0,0 +1,48 @@
+// Compares inserting a batch of updates into the Javascript Patricia tree one at a time with inserting them all at once with `insertMany`.
+// Usage: node packages/reputation-miner/patricia-benchmark.js [--nKeys 10000] [--nUpdates 5000]
+// `nKeys` reputations are in the tree before the batch, and the batch changes `nUpdates` of them, plus as many new ones.
+const { argv } = require("yargs");
+const web3Utils = require("web3-utils");
+
+const patriciaJs = require("./patricia");
+
+const { nKeys = 10000, nUpdates = 5000 } = argv;
+
+function time(description, f) {
+  const start = process.hrtime();
+  f();
+  const [seconds, nanoseconds] = process.hrtime(start);
+  const ms = seconds * 1000 + nanoseconds / 1e6;
+  console.log(`${description}: ${ms.toFixed(0)}ms`);
+  return ms;
+}
+
+const keys = [];
+const initialEntries = [];
+for (let i = 0; i < nKeys; i += 1) {
+  keys.push(web3Utils.randomHex(72));
+  initialEntries.push([keys[i], web3Utils.randomHex(64)]);
+}
+const batch = [];
+for (let i = 0; i < nUpdates; i += 1) {
+  batch.push([keys[Math.floor(Math.random() * nKeys)], web3Utils.randomHex(64)]);
+  batch.push([web3Utils.randomHex(72), web3Utils.randomHex(64)]);
+}
+
+const sequentialTree = new patriciaJs.PatriciaTree();
+const batchTree = new patriciaJs.PatriciaTree();
+time(`Building a tree with ${nKeys} keys`, () => {
+  sequentialTree.insertMany(initialEntries);
+  batchTree.insertMany(initialEntries);
+});
+
+const sequentialMs = time(`Inserting ${batch.length} updates one at a time`, () =>
+  batch.forEach(([key, value]) => sequentialTree.insert(key, value))
+);
+const batchMs = time(`Inserting ${batch.length} updates with insertMany`, () => batchTree.insertMany(batch));
+
+if (sequentialTree.getRootHash() !== batchTree.getRootHash()) {
+  console.log("❗️ The trees have different root hashes");
+  process.exit(1);
+}
+console.log(`Speedup: ${(sequentialMs / batchMs).toFixed(2)}x`);
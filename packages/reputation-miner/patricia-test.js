@@ -1,10 +1,14 @@
 /* globals artifacts */
 
+import fs from "fs";
+import os from "os";
 import path from "path";
 import web3Utils from "web3-utils";
 
 import { TruffleLoader } from "@colony/colony-js-contract-loader-fs";
 import ReputationMiner from "./ReputationMiner";
+import patriciaJs from "./patricia";
+import { FileNodeStore, LRUNodeStore } from "./NodeStore";
 
 const EtherRouter = artifacts.require("EtherRouter");
 const IColonyNetwork = artifacts.require("IColonyNetwork");
@@ -104,5 +108,271 @@ contract("Javascript Patricia Tree", accounts => {
         assert.equal(jsSiblings[i], solSiblings[i]);
       }
     });
+
+    it("should give identical implied roots for a proof", async () => {
+      const dog = web3Utils.fromAscii("dog");
+      const fido = web3Utils.fromAscii("fido");
+      const ape = web3Utils.fromAscii("ape");
+      const bubbles = web3Utils.fromAscii("bubbles");
+      const cat = web3Utils.fromAscii("cat");
+      const felix = web3Utils.fromAscii("felix");
+      const rover = web3Utils.fromAscii("rover");
+
+      await jsClient.reputationTree.insert(dog, fido);
+      await solClient.reputationTree.insert(dog, fido);
+
+      await jsClient.reputationTree.insert(ape, bubbles);
+      await solClient.reputationTree.insert(ape, bubbles);
+
+      await jsClient.reputationTree.insert(cat, felix);
+      await solClient.reputationTree.insert(cat, felix);
+
+      const [mask, siblings] = await solClient.reputationTree.getProof(dog);
+      const jsImpliedRoot = await jsClient.reputationTree.getImpliedRoot(dog, fido, mask, siblings);
+      const solImpliedRoot = await solClient.reputationTree.getImpliedRoot(dog, fido, mask, siblings);
+      const root = await solClient.reputationTree.getRootHash();
+      assert.equal(jsImpliedRoot, solImpliedRoot);
+      assert.equal(jsImpliedRoot, root);
+
+      // A different value at the same key implies a different root, and it has to be the same one
+      const jsWrongImpliedRoot = await jsClient.reputationTree.getImpliedRoot(dog, rover, mask, siblings);
+      const solWrongImpliedRoot = await solClient.reputationTree.getImpliedRoot(dog, rover, mask, siblings);
+      assert.equal(jsWrongImpliedRoot, solWrongImpliedRoot);
+      assert.notEqual(jsWrongImpliedRoot, root);
+    });
+
+    it("should verify its own proofs, and only for the right value", async () => {
+      const dog = web3Utils.fromAscii("dog");
+      const fido = web3Utils.fromAscii("fido");
+      const ape = web3Utils.fromAscii("ape");
+      const bubbles = web3Utils.fromAscii("bubbles");
+
+      const tree = new patriciaJs.PatriciaTree();
+      tree.insert(dog, fido);
+      tree.insert(ape, bubbles);
+
+      const [dogMask, dogSiblings] = tree.getProof(dog);
+      const [apeMask, apeSiblings] = tree.getProof(ape);
+      assert.isTrue(tree.verifyProof(dog, fido, dogMask, dogSiblings));
+      assert.isTrue(tree.verifyProof(ape, bubbles, apeMask, apeSiblings));
+      assert.isFalse(tree.verifyProof(dog, bubbles, dogMask, dogSiblings));
+    });
+
+    it("should know which keys it has, and how many", async () => {
+      const tree = new patriciaJs.PatriciaTree();
+      const dog = web3Utils.fromAscii("dog");
+      const ape = web3Utils.fromAscii("ape");
+      const cat = web3Utils.fromAscii("cat");
+
+      assert.equal(tree.size(), 0);
+      assert.isFalse(tree.has(dog));
+
+      tree.insert(dog, web3Utils.fromAscii("fido"));
+      tree.insert(ape, web3Utils.fromAscii("bubbles"));
+      tree.insert(dog, web3Utils.fromAscii("rover"));
+
+      assert.equal(tree.size(), 2);
+      assert.isTrue(tree.has(dog));
+      assert.isTrue(tree.has(ape));
+      assert.isFalse(tree.has(cat));
+    });
+
+    it("should return stored values, and iterate over them in the order of the tree", async () => {
+      const tree = new patriciaJs.PatriciaTree({ storeValues: true });
+      const values = {
+        [web3Utils.fromAscii("dog")]: web3Utils.fromAscii("fido"),
+        [web3Utils.fromAscii("ape")]: web3Utils.fromAscii("bubbles"),
+        [web3Utils.fromAscii("cat")]: web3Utils.fromAscii("felix")
+      };
+      Object.keys(values).forEach(key => tree.insert(key, values[key]));
+      tree.insert(web3Utils.fromAscii("dog"), web3Utils.fromAscii("rover"));
+      values[web3Utils.fromAscii("dog")] = web3Utils.fromAscii("rover");
+
+      Object.keys(values).forEach(key => assert.equal(tree.get(key), values[key]));
+      assert.isUndefined(tree.get(web3Utils.fromAscii("owl")));
+
+      const entries = [...tree];
+      assert.equal(entries.length, 3);
+      entries.forEach(([key, value]) => assert.equal(value, values[key]));
+      const paths = entries.map(([key]) => web3Utils.soliditySha3(key));
+      assert.deepEqual(paths, [...paths].sort());
+    });
+
+    it("should restore a serialized tree without inserting its keys again", async () => {
+      const tree = new patriciaJs.PatriciaTree({ storeValues: true });
+      const dog = web3Utils.fromAscii("dog");
+      const ape = web3Utils.fromAscii("ape");
+      const cat = web3Utils.fromAscii("cat");
+      tree.insert(dog, web3Utils.fromAscii("fido"));
+      tree.insert(ape, web3Utils.fromAscii("bubbles"));
+      tree.insert(cat, web3Utils.fromAscii("felix"));
+
+      const serialized = JSON.parse(JSON.stringify(tree.serialize()));
+      const restoredTree = new patriciaJs.PatriciaTree({ storeValues: true });
+      restoredTree.restore(serialized);
+      assert.equal(restoredTree.getRootHash(), tree.getRootHash());
+      assert.equal(restoredTree.size(), 3);
+      assert.deepEqual(restoredTree.entries(), tree.entries());
+      const [restoredMask, restoredSiblings] = restoredTree.getProof(ape);
+      const [mask, siblings] = tree.getProof(ape);
+      assert.equal(restoredMask.toString(), mask.toString());
+      assert.deepEqual(restoredSiblings, siblings);
+
+      // The restored tree carries on from where the original left off
+      tree.insert(dog, web3Utils.fromAscii("rover"));
+      restoredTree.insert(dog, web3Utils.fromAscii("rover"));
+      assert.equal(restoredTree.getRootHash(), tree.getRootHash());
+
+      // A stored root that doesn't match the stored root edge is rejected, and the tree is left as it was
+      serialized.root = serialized.root.replace(/.$/, c => (c === "0" ? "1" : "0"));
+      assert.throws(() => restoredTree.restore(serialized), /root/);
+      assert.equal(restoredTree.getRootHash(), tree.getRootHash());
+    });
+
+    it("should still read a state it kept after it has changed, but not the ones in between", async () => {
+      const tree = new patriciaJs.PatriciaTree({ storeValues: true });
+      const keys = ["dog", "ape", "cat", "owl", "emu", "yak"].map(name => web3Utils.fromAscii(name));
+      keys.forEach((key, i) => tree.insert(key, web3Utils.padLeft(i, 64)));
+      const keptRoot = tree.getRootHash();
+      const kept = tree.keepNodes();
+      const [keptMask, keptSiblings] = tree.getProof(keys[2]);
+
+      tree.insert(keys[2], web3Utils.padLeft(20, 64));
+      const inBetween = tree.getHeader();
+      tree.insert(keys[2], web3Utils.padLeft(21, 64));
+      tree.insert(web3Utils.fromAscii("gnu"), web3Utils.padLeft(6, 64));
+
+      const keptTree = new patriciaJs.PatriciaTree({ storeValues: true, nodeStore: tree.nodeStore });
+      keptTree.load(kept);
+      assert.equal(keptTree.getRootHash(), keptRoot);
+      assert.equal(keptTree.size(), keys.length);
+      assert.equal(keptTree.get(keys[2]), web3Utils.padLeft(2, 64));
+      assert.sameDeepMembers(keptTree.entries(), keys.map((key, i) => [key, web3Utils.padLeft(i, 64)]));
+      const [mask, siblings] = keptTree.getProof(keys[2]);
+      assert.equal(mask.toString(), keptMask.toString());
+      assert.deepEqual(siblings, keptSiblings);
+      assert.equal(tree.get(keys[2]), web3Utils.padLeft(21, 64));
+
+      // What the tree only passed through on the way wasn't kept
+      const inBetweenTree = new patriciaJs.PatriciaTree({ storeValues: true, nodeStore: tree.nodeStore });
+      assert.throws(() => inBetweenTree.load(inBetween), /aren't in the node store/);
+    });
+
+    it("should refuse to restore a tree whose nodes or leaf values aren't the ones its root commits to", async () => {
+      const tree = new patriciaJs.PatriciaTree({ storeValues: true });
+      const keys = ["dog", "ape", "cat", "owl", "emu", "yak"].map(name => web3Utils.fromAscii(name));
+      keys.forEach((key, i) => tree.insert(key, web3Utils.padLeft(i, 64)));
+      const serialized = tree.serialize();
+      // Leaf values are stored with the nodes, under ids twice as long as a node hash
+      const isLeaf = ([id]) => id.length === 128;
+      const leafIndex = serialized.nodes.findIndex(isLeaf);
+      const nodeIndices = serialized.nodes.map((stored, i) => i).filter(i => !isLeaf(serialized.nodes[i]));
+      const restore = tamper => {
+        const tampered = JSON.parse(JSON.stringify(serialized));
+        tamper(tampered);
+        new patriciaJs.PatriciaTree({ storeValues: true }).restore(tampered);
+      };
+
+      restore(() => {});
+      assert.throws(() => restore(tampered => tampered.nodes[leafIndex].splice(2, 1, web3Utils.padLeft(10, 64))), /leaf/);
+      assert.throws(() => restore(tampered => tampered.nodes[leafIndex].splice(1, 1, web3Utils.fromAscii("gnu"))), /leaf/);
+      assert.throws(() => restore(tampered => tampered.nodes.splice(leafIndex, 1)), /leaf/);
+      const [first, second] = nodeIndices;
+      assert.throws(() => restore(tampered => tampered.nodes[first].splice(1, 1, tampered.nodes[second][1])), /hash/);
+      assert.throws(() => restore(tampered => tampered.nodes.splice(first, 1)), /missing/);
+      assert.throws(() => restore(tampered => Object.assign(tampered, { size: 5 })), /size/);
+    });
+
+    it("should give the same root hashes whichever node store it uses", async () => {
+      const file = path.join(os.tmpdir(), `patricia-test-${Date.now()}.nodes`);
+      const memoryTree = new patriciaJs.PatriciaTree({ storeValues: true });
+      const fileNodeStore = new FileNodeStore(file);
+      // A cache too small to hold the whole tree, so nodes have to be read back from the file
+      const fileTree = new patriciaJs.PatriciaTree({ storeValues: true, nodeStore: new LRUNodeStore(fileNodeStore, 2) });
+      const keys = ["dog", "ape", "cat", "owl", "emu", "yak"].map(name => web3Utils.fromAscii(name));
+      keys.forEach((key, i) => {
+        memoryTree.insert(key, web3Utils.padLeft(i, 64));
+        fileTree.insert(key, web3Utils.padLeft(i, 64));
+      });
+      memoryTree.insert(keys[0], web3Utils.padLeft(10, 64));
+      fileTree.insert(keys[0], web3Utils.padLeft(10, 64));
+      assert.equal(fileTree.getRootHash(), memoryTree.getRootHash());
+      assert.deepEqual(fileTree.getProof(keys[3])[1], memoryTree.getProof(keys[3])[1]);
+
+      // The nodes and leaf values stay in the file, so only the root needs to be serialized
+      const serialized = JSON.parse(JSON.stringify(fileTree.serialize()));
+      assert.isUndefined(serialized.nodes);
+      assert.deepEqual(fileTree.entries(), memoryTree.entries());
+      fileNodeStore.compact();
+      fileNodeStore.close();
+      const reopenedTree = new patriciaJs.PatriciaTree({ storeValues: true, nodeStore: new FileNodeStore(file) });
+      reopenedTree.restore(serialized);
+      assert.deepEqual(reopenedTree.getProof(keys[5])[1], memoryTree.getProof(keys[5])[1]);
+      assert.equal(reopenedTree.get(keys[0]), web3Utils.padLeft(10, 64));
+      reopenedTree.insert(keys[1], web3Utils.padLeft(11, 64));
+      memoryTree.insert(keys[1], web3Utils.padLeft(11, 64));
+      assert.equal(reopenedTree.getRootHash(), memoryTree.getRootHash());
+      reopenedTree.nodeStore.close();
+      fs.unlinkSync(file);
+    });
+
+    it("should only need its node file compacting once most of it is taken up by nodes no longer in the store", async () => {
+      const file = path.join(os.tmpdir(), `patricia-test-${Date.now()}.nodes`);
+      const fileNodeStore = new FileNodeStore(file);
+      const tree = new patriciaJs.PatriciaTree({ storeValues: true, nodeStore: fileNodeStore });
+      const keys = ["dog", "ape", "cat", "owl", "emu", "yak"].map(name => web3Utils.fromAscii(name));
+      keys.forEach((key, i) => tree.insert(key, web3Utils.padLeft(i, 64)));
+      fileNodeStore.compact();
+      assert.isFalse(fileNodeStore.needsCompacting());
+
+      // Updating a key replaces its value and every node on the path to it, so it takes a few updates to leave more behind than is still in use
+      let nUpdates = 0;
+      while (!fileNodeStore.needsCompacting()) {
+        tree.insert(keys[nUpdates % 2], web3Utils.padLeft(nUpdates + 10, 64));
+        nUpdates += 1;
+      }
+      assert.isAbove(nUpdates, 1);
+      assert.isAbove(fileNodeStore.fileSize, 2 * fileNodeStore.liveSize);
+
+      fileNodeStore.compact();
+      assert.isFalse(fileNodeStore.needsCompacting());
+      assert.equal(fs.statSync(file).size, fileNodeStore.liveSize);
+      fileNodeStore.close();
+
+      // What is still in use is worked out again from the file when it's opened again
+      const reopenedNodeStore = new FileNodeStore(file);
+      assert.equal(reopenedNodeStore.liveSize, fs.statSync(file).size);
+      reopenedNodeStore.close();
+      fs.unlinkSync(file);
+    });
+
+    it("should give the same tree when inserting many keys at once as when inserting them one at a time", async () => {
+      const tree = new patriciaJs.PatriciaTree({ storeValues: true });
+      const batchTree = new patriciaJs.PatriciaTree({ storeValues: true });
+      const keys = ["dog", "ape", "cat", "owl", "emu", "yak"].map(name => web3Utils.fromAscii(name));
+      tree.insert(keys[0], web3Utils.padLeft(0, 64));
+      batchTree.insert(keys[0], web3Utils.padLeft(0, 64));
+
+      // Includes an update to a key from before the batch, and one to a key from earlier in the batch
+      const entries = keys.map((key, i) => [key, web3Utils.padLeft(i + 1, 64)]);
+      entries.push([keys[3], web3Utils.padLeft(10, 64)]);
+      entries.forEach(([key, value]) => tree.insert(key, value));
+      batchTree.insertMany(entries);
+
+      assert.equal(batchTree.getRootHash(), tree.getRootHash());
+      assert.equal(batchTree.size(), keys.length);
+      assert.equal(batchTree.get(keys[3]), web3Utils.padLeft(10, 64));
+      assert.deepEqual(batchTree.nodeStore.keys().sort(), tree.nodeStore.keys().sort());
+      const [mask, siblings] = batchTree.getProof(keys[5]);
+      assert.isTrue(batchTree.verifyProof(keys[5], web3Utils.padLeft(6, 64), mask, siblings));
+    });
+
+    it("should refuse to get values it hasn't stored", async () => {
+      const tree = new patriciaJs.PatriciaTree();
+      const dog = web3Utils.fromAscii("dog");
+      tree.insert(dog, web3Utils.fromAscii("fido"));
+      assert.throws(() => tree.get(dog), /storeValues/);
+      assert.throws(() => tree.entries(), /storeValues/);
+    });
   });
 });
@@ -1,6 +1,8 @@
 const BN = require("bn.js");
 const web3Utils = require("web3-utils");
 
+const { MemoryNodeStore } = require("./NodeStore");
+
 // //////////////
 // Internal utilities
 // ////////////////////////
@@ -13,7 +15,7 @@ function makeLabel(data, length) {
 
 function makeEdge(nodeHash, label) {
   return {
-    nodeHash, // Hash of node value (this is confusing), used as key in tree.nodes
+    nodeHash, // Hash of node value (this is confusing), used as key in the node store
     label // Label object containing path to node
   };
 }
@@ -99,10 +101,38 @@ function removePrefix(label, prefix) {
   return makeLabel(label.data.shln(prefix).maskn(256), label.length - prefix);
 }
 
+// Edges are serialized as [nodeHash, label length, label data], with the hashes and label data in hex
+function encodeEdge(edge) {
+  return [edge.nodeHash.toString(16), edge.label.length, edge.label.data.toString(16)];
+}
+
+function decodeEdge([nodeHash, length, data]) {
+  return makeEdge(new BN(nodeHash, 16), makeLabel(new BN(data, 16), length));
+}
+
+// Leaf values are kept in the node store with the nodes, as [key, value], under the path of the leaf followed by the hash of the value.
+// That's 128 hex digits, which no node hash has, and, like the hash of a node, it changes with what's stored under it.
+function leafId(path, valueHash) {
+  return `${bn2hex64(path).slice(2)}${bn2hex64(valueHash).slice(2)}`;
+}
+
+// Accepts the forms a branchMask or sibling can come in: BN, ethers BigNumber, number, 0x-prefixed hex or decimal string
+function toBN(x) {
+  if (BN.isBN(x)) {
+    return x.clone();
+  }
+  if (typeof x === "string" && x.substring(0, 2) === "0x") {
+    return sha2bn(x);
+  }
+  return new BN(x.toString(), 10);
+}
+
 // //////
 // Patricia Tree
 // //////////////////
-exports.PatriciaTree = function PatriciaTree() {
+// Pass `storeValues: true` to keep the value of every leaf (not just its hash), which `get` and `entries` need, and a `nodeStore`
+// (see NodeStore.js) to keep the nodes, and those values, somewhere other than in memory
+exports.PatriciaTree = function PatriciaTree({ storeValues = false, nodeStore = new MemoryNodeStore() } = {}) {
   // Label: { data, length } (data is the path, length says how many bits are used)
   // Edge: { nodeHash, label }
   // Node: [leftEdge, rightEdge] (no actual node)
@@ -110,37 +140,68 @@ exports.PatriciaTree = function PatriciaTree() {
   this.tree = {
     root: new BN(0, 16),
     rootEdge: {},
-    nodes: new Map()
+    size: 0
   };
+  this.nodeStore = nodeStore;
+  this.storeValues = storeValues;
+  // The ids of what this tree has added to the node store since it last kept all of it (see `keepNodes`). Only these are removed from the
+  // store once the tree no longer needs them, so the states it kept can still be read.
+  this.newNodes = new Set();
 
   // ////////////
   // Public functions
   // //////////////////////
 
-  // Unused _ arg to conform to interace which accepts gas execution options
-
-  // eslint-disable-next-line no-unused-vars
-  this.getRootHash = function getRootHash(_ = undefined) {
+  this.getRootHash = function getRootHash() {
     return bn2hex64(this.tree.root);
   };
 
-  // eslint-disable-next-line no-unused-vars
-  this.insert = function insert(key, value, _ = undefined) {
+  this.insert = function insert(key, value) {
     const label = makeLabel(sha3(key), 256);
     const valueHash = sha3(value);
     let edge = {};
+    let replacedValueHash;
     if (this.tree.root.toString(16) === "0") {
       edge.label = label;
       edge.nodeHash = valueHash;
     } else {
-      edge = this.insertAtEdge(this.tree.rootEdge, label, valueHash);
+      [edge, replacedValueHash] = this.insertAtEdge(this.tree.rootEdge, label, valueHash);
+    }
+    if (replacedValueHash === undefined) {
+      this.tree.size += 1;
+    }
+    this.replaceLeaf(label.data, replacedValueHash, key, value, valueHash);
+    this.tree.root = edgeEncodingHash(edge);
+    this.tree.rootEdge = edge;
+  };
+
+  // Inserts every `[key, value]` pair in `entries` in turn, so a later value for a key wins over an earlier one. The result is the same as
+  // inserting them one at a time, but the hash of every node that changes is only computed once, after all of them have been applied.
+  this.insertMany = function insertMany(entries) {
+    if (entries.length === 0) {
+      return;
     }
+    let edge = this.tree.root.toString(16) === "0" ? undefined : this.tree.rootEdge;
+    entries.forEach(([key, value]) => {
+      const label = makeLabel(sha3(key), 256);
+      const valueHash = sha3(value);
+      let replacedValueHash;
+      if (edge === undefined) {
+        edge = makeEdge(valueHash, label);
+      } else {
+        [edge, replacedValueHash] = this.insertAtPendingEdge(edge, label, valueHash);
+      }
+      if (replacedValueHash === undefined) {
+        this.tree.size += 1;
+      }
+      this.replaceLeaf(label.data, replacedValueHash, key, value, valueHash);
+    });
+    edge = this.commitPendingEdge(edge);
     this.tree.root = edgeEncodingHash(edge);
     this.tree.rootEdge = edge;
   };
 
-  // eslint-disable-next-line no-unused-vars
-  this.getProof = function getProof(key, _ = undefined) {
+  this.getProof = function getProof(key) {
     if (!(this.tree.root.toString(16) !== "0")) throw "AssertFail"; // eslint-disable-line no-throw-literal
     const siblings = [];
 
@@ -165,7 +226,7 @@ exports.PatriciaTree = function PatriciaTree() {
       branchMask = branchMask.or(new BN(1, 16).shln(255 - length));
       length += 1;
 
-      const node = this.tree.nodes[edge.nodeHash.toString(16)];
+      const node = this.getNode(edge.nodeHash);
       const [head, tail] = chopFirstBit(suffix);
 
       const sibling = node.children[1 - head];
@@ -177,24 +238,200 @@ exports.PatriciaTree = function PatriciaTree() {
     return [branchMask, siblings.map(s => bn2hex64(s))];
   };
 
+  this.has = function has(key) {
+    return this.getLeafEdge(key) !== undefined;
+  };
+
+  this.get = function get(key) {
+    this.requireStoredValues("get");
+    const edge = this.getLeafEdge(key);
+    if (edge === undefined) {
+      return undefined;
+    }
+    const [, value] = this.nodeStore.get(leafId(sha3(key), edge.nodeHash));
+    return value;
+  };
+
+  // The number of keys in the tree
+  this.size = function size() {
+    return this.tree.size;
+  };
+
+  // Calls `callback(key, value)` for every key in the tree, in the order their leaves appear in it (i.e. ordered by the hash of the key),
+  // or only for the keys after the place of `afterKey` in that order, if given (it needn't be in the tree). Stops as soon as `callback`
+  // returns `false`. The values are read from the node store one at a time, so they never all have to be in memory at once.
+  this.forEach = function forEach(callback, afterKey) {
+    this.requireStoredValues("forEach");
+    if (this.tree.root.toString(16) === "0") {
+      return;
+    }
+    const after = afterKey === undefined ? undefined : sha3(afterKey);
+    // Returns whether to carry on
+    const visitEdge = (edge, path) => {
+      const edgePath = makeLabel(path.data.or(edge.label.data.shrn(path.length)), path.length + edge.label.length);
+      const lastPathBelow = edgePath.data.or(new BN(1).shln(256 - edgePath.length).subn(1));
+      if (after !== undefined && lastPathBelow.lte(after)) {
+        return true; // Everything below here comes before `afterKey`, or is it
+      }
+      if (edgePath.length === 256) {
+        const [key, value] = this.nodeStore.get(leafId(edgePath.data, edge.nodeHash));
+        return callback(key, value) !== false;
+      }
+      return this.getNode(edge.nodeHash).children.every((child, bit) =>
+        visitEdge(child, makeLabel(edgePath.data.or(new BN(bit).shln(255 - edgePath.length)), edgePath.length + 1))
+      );
+    };
+    visitEdge(this.tree.rootEdge, makeLabel(new BN(0, 16), 0));
+  };
+
+  // All `[key, value]` pairs in the tree, in the order `forEach` gives them
+  this.entries = function entries() {
+    const allEntries = [];
+    this.forEach((key, value) => {
+      allEntries.push([key, value]);
+    });
+    return allEntries;
+  };
+
+  this[Symbol.iterator] = function iterator() {
+    return this.entries()[Symbol.iterator]();
+  };
+
+  // Mirrors `getImpliedRoot` in PatriciaTreeProofs.sol: the root hash of the tree that `value` at `key` would be in, given the proof
+  // (`branchMask` and `siblings`) that `getProof` gives for `key`.
+  this.getImpliedRoot = function getImpliedRoot(key, value, branchMask, siblings) {
+    let k = makeLabel(sha3(key), 256);
+    const e = {};
+    e.nodeHash = sha3(value);
+    const mask = toBN(branchMask);
+    for (let i = 0; !mask.isZero(); i += 1) {
+      const bitSet = mask.zeroBits(); // Lowest bit set
+      mask.setn(bitSet, false);
+      [k, e.label] = splitAt(k, 255 - bitSet);
+      const [bit, tail] = chopFirstBit(e.label);
+      e.label = tail;
+      const edgeHashes = [];
+      edgeHashes[bit] = edgeEncodingHash(e);
+      edgeHashes[1 - bit] = toBN(siblings[siblings.length - i - 1]);
+      e.nodeHash = sha2bn(web3Utils.soliditySha3(edgeHashes[0], edgeHashes[1]));
+    }
+    e.label = k;
+    return bn2hex64(edgeEncodingHash(e));
+  };
+
+  // Check that the proof for `value` at `key` implies the current root of this tree
+  this.verifyProof = function verifyProof(key, value, branchMask, siblings) {
+    return this.getImpliedRoot(key, value, branchMask, siblings) === this.getRootHash();
+  };
+
+  // The root, the root edge and the size: what `load` needs to read this tree as it is now out of its node store
+  this.getHeader = function getHeader() {
+    return {
+      root: this.tree.root.toString(16),
+      rootEdge: this.tree.root.toString(16) === "0" ? null : encodeEdge(this.tree.rootEdge),
+      size: this.tree.size
+    };
+  };
+
+  // Keeps everything that is in the node store now there from now on, however this tree changes, so that its current state can still be
+  // read (with `load`, by another tree on the same node store) later. Returns the header of that state.
+  this.keepNodes = function keepNodes() {
+    this.newNodes.clear();
+    return this.getHeader();
+  };
+
+  // Points this tree at a state whose nodes are in its node store, given the header `getHeader` gave for it. Only the top of the tree is
+  // checked to be there (so a state whose nodes were cleared out of the store since is rejected), so this is only for states that were kept
+  // with `keepNodes`; `restore` is for anything else.
+  this.load = function load(header) {
+    const tree = {
+      root: new BN(header.root, 16),
+      rootEdge: header.rootEdge === null ? {} : decodeEdge(header.rootEdge),
+      size: header.size
+    };
+    if (tree.root.toString(16) !== "0") {
+      const { nodeHash, label } = tree.rootEdge;
+      const topId = label.length === 256 ? leafId(label.data, nodeHash) : nodeHash.toString(16);
+      if ((label.length < 256 || this.storeValues) && !this.nodeStore.has(topId)) {
+        throw new Error(`The nodes of the tree with root ${bn2hex64(tree.root)} aren't in the node store`);
+      }
+    }
+    this.tree = tree;
+    this.newNodes = new Set();
+  };
+
+  // Everything `restore` needs to rebuild this tree without inserting every key again: the header and, unless the node store keeps
+  // them anyway, everything in it, i.e. every node (by its hash) and the leaf values if we're storing them
+  this.serialize = function serialize() {
+    const serialized = this.getHeader();
+    if (!this.nodeStore.persistent) {
+      serialized.nodes = this.nodeStore.keys().map(id => [id, ...this.nodeStore.get(id)]);
+    }
+    return serialized;
+  };
+
+  // Replaces the contents of this tree with the output of `serialize`, after checking that the stored root is the hash of the stored root edge,
+  // that every node below it is the one whose hash the edge leading to it has, and that every stored leaf value is the one whose hash its
+  // edge has. That is, the root is recomputed from everything restored, so a file that was tampered with or only partly written is rejected.
+  // If no nodes were serialized, they (and the leaf values) have to be in the node store already. Everything in the node store afterwards
+  // is kept, as if by `keepNodes`.
+  this.restore = function restore(serialized) {
+    const tree = {
+      root: new BN(serialized.root, 16),
+      rootEdge: {},
+      size: serialized.size
+    };
+    if (tree.root.toString(16) !== "0") {
+      tree.rootEdge = decodeEdge(serialized.rootEdge);
+      if (!edgeEncodingHash(tree.rootEdge).eq(tree.root)) {
+        throw new Error(`The stored root ${bn2hex64(tree.root)} is not the hash of the stored root edge`);
+      }
+      const rootIsLeaf = tree.rootEdge.label.length === 256;
+      if (!rootIsLeaf && serialized.nodes === undefined && this.nodeStore.get(tree.rootEdge.nodeHash.toString(16)) === undefined) {
+        throw new Error(`No nodes were stored with the root ${bn2hex64(tree.root)}, and they aren't in the node store either`);
+      }
+    }
+
+    if (tree.root.toString(16) !== "0") {
+      const storedNodes = serialized.nodes === undefined ? undefined : new Map(serialized.nodes.map(([id, ...stored]) => [id, stored]));
+      const getStoredNode = id => (storedNodes === undefined ? this.nodeStore.get(id) : storedNodes.get(id));
+      const nLeaves = this.verifyEdge(tree.rootEdge, makeLabel(new BN(0, 16), 0), getStoredNode);
+      if (nLeaves !== tree.size) {
+        throw new Error(`The tree was stored with a size of ${tree.size}, but it has ${nLeaves} leaves`);
+      }
+    } else if (tree.size !== 0) {
+      throw new Error(`The tree was stored with a size of ${tree.size}, but it is empty`);
+    }
+
+    if (serialized.nodes !== undefined) {
+      this.nodeStore.clear();
+      serialized.nodes.forEach(([id, ...stored]) => this.nodeStore.set(id, stored));
+    }
+    this.tree = tree;
+    this.newNodes = new Set();
+  };
+
   // ////////////
   // Private functions
   // /////////////////////
+  // Returns the new edge, and the hash of the value it replaced (`undefined` if the key wasn't in the tree yet)
   this.insertAtEdge = function insertAtEdge(edge, label, valueHash) {
     if (!(label.length >= edge.label.length)) throw "AssertFail"; // eslint-disable-line no-throw-literal
     const [prefix, suffix] = splitCommonPrefix(label, edge.label);
     let newNodeHash;
+    let replacedValueHash;
     if (suffix.length === 0) {
       // Full match with the key, update operation
       newNodeHash = valueHash;
+      replacedValueHash = edge.nodeHash;
     } else if (prefix.length >= edge.label.length) {
       // Partial match, just follow the path
       // NOTE: but how could a common prefix be longer than either label?
       if (!(suffix.length > 1)) throw "AssertFail"; // eslint-disable-line no-throw-literal
-      const node = this.tree.nodes[edge.nodeHash.toString(16)];
+      const node = this.getNode(edge.nodeHash);
       const [head, tail] = chopFirstBit(suffix);
-      node.children[head] = this.insertAtEdge(node.children[head], tail, valueHash);
-      delete this.tree.nodes[edge.nodeHash.toString(16)];
+      [node.children[head], replacedValueHash] = this.insertAtEdge(node.children[head], tail, valueHash);
+      this.removeFromStore(edge.nodeHash.toString(16));
       newNodeHash = this.insertNode(node);
     } else {
       // Mismatch, so let us create a new branch node.
@@ -204,12 +441,134 @@ exports.PatriciaTree = function PatriciaTree() {
       branchNode.children[1 - head] = makeEdge(edge.nodeHash, removePrefix(edge.label, prefix.length + 1));
       newNodeHash = this.insertNode(branchNode);
     }
-    return makeEdge(newNodeHash, prefix);
+    return [makeEdge(newNodeHash, prefix), replacedValueHash];
+  };
+
+  // Like `insertAtEdge`, but for `insertMany`: nodes that change are taken out of the node store and kept in the `node` of the edge
+  // leading to them, without a hash, until `commitPendingEdge`. Returns the same as `insertAtEdge`.
+  this.insertAtPendingEdge = function insertAtPendingEdge(edge, label, valueHash) {
+    const [prefix, suffix] = splitCommonPrefix(label, edge.label);
+    if (suffix.length === 0) {
+      // Full match with the key, update operation
+      return [makeEdge(valueHash, prefix), edge.nodeHash];
+    }
+    const [head, tail] = chopFirstBit(suffix);
+    if (prefix.length >= edge.label.length) {
+      // Partial match, just follow the path
+      let { node } = edge;
+      if (node === undefined) {
+        node = this.getNode(edge.nodeHash);
+        this.removeFromStore(edge.nodeHash.toString(16));
+      }
+      const [child, replacedValueHash] = this.insertAtPendingEdge(node.children[head], tail, valueHash);
+      node.children[head] = child;
+      return [{ node, label: prefix }, replacedValueHash];
+    }
+    // Mismatch, so let us create a new branch node.
+    const branchNode = makeNode();
+    branchNode.children[head] = makeEdge(valueHash, tail);
+    branchNode.children[1 - head] = { nodeHash: edge.nodeHash, node: edge.node, label: removePrefix(edge.label, prefix.length + 1) };
+    return [{ node: branchNode, label: prefix }, undefined];
+  };
+
+  // Hashes and stores every node `insertAtPendingEdge` left pending below `edge`, children first. Returns the edge as it should be stored.
+  this.commitPendingEdge = function commitPendingEdge(edge) {
+    if (edge.node === undefined) {
+      return edge;
+    }
+    const node = makeNode(this.commitPendingEdge(edge.node.children[0]), this.commitPendingEdge(edge.node.children[1]));
+    return makeEdge(this.insertNode(node), edge.label);
+  };
+
+  // Checks the part of a tree being restored below `edge`, which starts at `path` (the label of everything above it): that each node is the
+  // one whose hash the edge leading to it has, and, if we're storing values, that each leaf value is the one whose hash its edge has.
+  // `getStoredNode` gets a node or leaf value, as stored, by its id. Returns the number of leaves.
+  this.verifyEdge = function verifyEdge(edge, path, getStoredNode) {
+    const edgePath = makeLabel(path.data.or(edge.label.data.shrn(path.length)), path.length + edge.label.length);
+    if (edgePath.length === 256) {
+      const leaf = this.storeValues ? getStoredNode(leafId(edgePath.data, edge.nodeHash)) : undefined;
+      if (this.storeValues && (leaf === undefined || !sha3(leaf[0]).eq(edgePath.data) || !sha3(leaf[1]).eq(edge.nodeHash))) {
+        throw new Error(`The stored value of the leaf at ${bn2hex64(edgePath.data)} is not the one in the tree`);
+      }
+      return 1;
+    }
+    const storedNode = getStoredNode(edge.nodeHash.toString(16));
+    if (storedNode === undefined) {
+      throw new Error(`The node ${bn2hex64(edge.nodeHash)} is missing`);
+    }
+    const node = makeNode(decodeEdge(storedNode[0]), decodeEdge(storedNode[1]));
+    if (!nodeEncodingHash(node).eq(edge.nodeHash)) {
+      throw new Error(`The node stored as ${bn2hex64(edge.nodeHash)} doesn't have that hash`);
+    }
+    return node.children.reduce((nLeaves, child, bit) => {
+      const childPath = makeLabel(edgePath.data.or(new BN(bit).shln(255 - edgePath.length)), edgePath.length + 1);
+      return nLeaves + this.verifyEdge(child, childPath, getStoredNode);
+    }, 0);
+  };
+
+  this.requireStoredValues = function requireStoredValues(methodName) {
+    if (!this.storeValues) {
+      throw new Error(`${methodName} needs the values of the leaves, so the tree has to be created with storeValues: true`);
+    }
+  };
+
+  // The edge leading to the leaf of `key`, or `undefined` if the key isn't in the tree
+  this.getLeafEdge = function getLeafEdge(key) {
+    if (this.tree.root.toString(16) === "0") {
+      return undefined;
+    }
+    let label = makeLabel(sha3(key), 256);
+    let edge = this.tree.rootEdge;
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      const [prefix, suffix] = splitCommonPrefix(label, edge.label);
+      if (prefix.length !== edge.label.length) {
+        return undefined; // The path to the key leaves the tree here
+      }
+      if (suffix.length === 0) {
+        return edge;
+      }
+      const node = this.getNode(edge.nodeHash);
+      const [head, tail] = chopFirstBit(suffix);
+      edge = node.children[head];
+      label = tail;
+    }
+  };
+
+  // Stores the value of the leaf at `path`, if we're storing values, in place of the one whose hash was `replacedValueHash` (if any)
+  this.replaceLeaf = function replaceLeaf(path, replacedValueHash, key, value, valueHash) {
+    if (!this.storeValues || (replacedValueHash !== undefined && replacedValueHash.eq(valueHash))) {
+      return;
+    }
+    if (replacedValueHash !== undefined) {
+      this.removeFromStore(leafId(path, replacedValueHash));
+    }
+    this.addToStore(leafId(path, valueHash), [key, value]);
   };
 
   this.insertNode = function insertNode(node) {
     const nodeHash = nodeEncodingHash(node);
-    this.tree.nodes[nodeHash.toString(16)] = node;
+    this.addToStore(nodeHash.toString(16), node.children.map(encodeEdge));
     return nodeHash;
   };
+
+  // Ids are hashes of what is stored under them, so what is already in the store stays as it is, and isn't new
+  this.addToStore = function addToStore(id, stored) {
+    if (!this.nodeStore.has(id)) {
+      this.nodeStore.set(id, stored);
+      this.newNodes.add(id);
+    }
+  };
+
+  // Removes something the tree no longer needs from the store, unless it was kept
+  this.removeFromStore = function removeFromStore(id) {
+    if (this.newNodes.delete(id)) {
+      this.nodeStore.delete(id);
+    }
+  };
+
+  this.getNode = function getNode(nodeHash) {
+    const [left, right] = this.nodeStore.get(nodeHash.toString(16));
+    return makeNode(decodeEdge(left), decodeEdge(right));
+  };
 };
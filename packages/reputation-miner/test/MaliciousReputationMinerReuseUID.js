@@ -12,9 +12,9 @@ class MaliciousReputationMinerReuseUID extends ReputationMiner {
   async getNewestReputationProofObject(logEntry) {
     let key;
     if (logEntry.toString() === this.entryToFalsify.toString()) {
-      key = Object.keys(this.reputations)[this.nReputations - 1 - parseInt(this.amountToFalsify, 10)];
+      key = await this.getKeyForUID(this.nReputations - parseInt(this.amountToFalsify, 10));
     } else {
-      key = Object.keys(this.reputations)[this.nReputations - 1];
+      key = this.newestReputationKey;
     }
     return this.getReputationProofObject(key);
   }
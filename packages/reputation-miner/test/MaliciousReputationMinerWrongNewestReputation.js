@@ -11,9 +11,9 @@ class MaliciousReputationMiningWrongNewestReputation extends ReputationMiningCli
   async getNewestReputationProofObject() {
     let key;
     if (this.nReputations - this.amountToFalsify < 0) {
-      [key] = Object.keys(this.reputations);
+      key = await this.getKeyForUID(1);
     } else {
-      key = Object.keys(this.reputations)[this.nReputations - this.amountToFalsify];
+      key = await this.getKeyForUID(this.nReputations - this.amountToFalsify + 1);
     }
     return this.getReputationProofObject(key);
   }
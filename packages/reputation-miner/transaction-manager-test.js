@@ -0,0 +1,164 @@
+import ethers from "ethers";
+
+import TransactionManager from "./TransactionManager";
+
+const ACCOUNT = "0x1111111111111111111111111111111111111111";
+
+const contract = {
+  address: "0x2222222222222222222222222222222222222222",
+  interface: { functions: { setValue: value => ({ data: `0x${value}` }) } }
+};
+
+// A wallet whose node does whatever the test says with each transaction it is sent. `node.send(tx, i)` is called with the ith
+// transaction to be sent, and either throws the error the node answers with, or returns whether it is mined straight away:
+// "success", "revert", or `undefined` for not (yet). What has been sent is in `node.sent`.
+function createStubWallet() {
+  const node = {
+    pendingCount: 0,
+    gasPrice: ethers.utils.bigNumberify(1000),
+    blockGasLimit: ethers.utils.bigNumberify(6000000),
+    estimate: async () => ethers.utils.bigNumberify(100000),
+    send: () => "success",
+    sent: [],
+    receipts: {}
+  };
+  node.mine = (hash, status = 1) => {
+    node.receipts[hash] = { transactionHash: hash, status };
+  };
+  const provider = {
+    getGasPrice: async () => node.gasPrice,
+    getTransactionCount: async () => node.pendingCount,
+    getBlock: async () => ({ gasLimit: node.blockGasLimit }),
+    getTransactionReceipt: async hash => node.receipts[hash] || null
+  };
+  const wallet = {
+    address: ACCOUNT,
+    provider,
+    estimateGas: tx => node.estimate(tx),
+    sendTransaction: async tx => {
+      const outcome = node.send(tx, node.sent.length);
+      const hash = `0x${(node.sent.length + 1).toString(16).padStart(64, "0")}`;
+      node.sent.push(Object.assign({ hash }, tx));
+      if (outcome !== undefined) {
+        node.mine(hash, outcome === "revert" ? 0 : 1);
+      }
+      return { hash };
+    }
+  };
+  return { node, wallet };
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  throw new Error("Expected the promise to be rejected");
+}
+
+describe("TransactionManager", () => {
+  let node;
+  let txManager;
+
+  beforeEach(() => {
+    let wallet;
+    ({ node, wallet } = createStubWallet());
+    txManager = new TransactionManager(wallet, { replaceAfter: 20, maxReplacements: 2, maxSendAttempts: 3, pollInterval: 1 });
+  });
+
+  it("should give each transaction the nonce after the last, even before the node has seen the last one", async () => {
+    node.pendingCount = 5;
+    await txManager.send(contract, "setValue", [1]);
+    await txManager.send(contract, "setValue", [2]);
+    assert.deepEqual(node.sent.map(({ nonce }) => nonce), [5, 6]);
+
+    // Something else has sent transactions from the same account
+    node.pendingCount = 10;
+    await txManager.send(contract, "setValue", [3]);
+    assert.deepEqual(node.sent.map(({ nonce }) => nonce), [5, 6, 10]);
+    assert.deepEqual(node.sent.map(({ to, data }) => [to, data]), [[contract.address, "0x1"], [contract.address, "0x2"], [contract.address, "0x3"]]);
+  });
+
+  it("should give a transaction twice the gas the node estimates, but no more than the block gas limit", async () => {
+    await txManager.send(contract, "setValue", [1]);
+    node.estimate = async () => ethers.utils.bigNumberify(4000000);
+    await txManager.send(contract, "setValue", [2]);
+    await txManager.send(contract, "setValue", [3], { gasLimit: 30000 });
+    assert.deepEqual(node.sent.map(({ gasLimit }) => gasLimit.toNumber()), [200000, 6000000, 30000]);
+  });
+
+  it("should send a transaction that isn't mined in time again with the same nonce, paying 20% more for gas each time", async () => {
+    node.send = (tx, i) => (i === 2 ? "success" : undefined);
+    const hash = await txManager.send(contract, "setValue", [1]);
+    assert.equal(hash, node.sent[2].hash);
+    assert.deepEqual(node.sent.map(({ nonce }) => nonce), [0, 0, 0]);
+    assert.deepEqual(node.sent.map(({ gasPrice }) => gasPrice.toNumber()), [1000, 1200, 1440]);
+  });
+
+  it("should give up on a transaction that still isn't mined once it has replaced it as often as it may", async () => {
+    node.send = () => undefined;
+    const err = await rejection(txManager.send(contract, "setValue", [1]));
+    assert.match(err.message, /setValue wasn't mined after sending it 3 times/);
+    assert.equal(node.sent.length, 3);
+  });
+
+  it("should wait for a transaction it has sent when the node won't take its replacement because the nonce has been used", async () => {
+    // The first one is mined just as we try to replace it
+    const sendMinedAsReplacing = async message => {
+      const nSent = node.sent.length;
+      node.send = (tx, i) => {
+        if (i === nSent) {
+          return undefined;
+        }
+        node.mine(node.sent[nSent].hash);
+        throw new Error(message);
+      };
+      const hash = await txManager.send(contract, "setValue", [nSent]);
+      assert.equal(hash, node.sent[nSent].hash, message);
+      assert.equal(node.sent.length, nSent + 1, message);
+    };
+    await sendMinedAsReplacing("nonce too low");
+    await sendMinedAsReplacing("already known");
+  });
+
+  it("should send a transaction again with the nonce the node gives it, if the one it allocated has been used by something else", async () => {
+    await txManager.send(contract, "setValue", [1]);
+    node.pendingCount = 4;
+    node.send = tx => {
+      if (tx.nonce < 4) {
+        throw new Error("nonce too low");
+      }
+      return "success";
+    };
+    await txManager.send(contract, "setValue", [2]);
+    assert.deepEqual(node.sent.map(({ nonce }) => nonce), [0, 4]);
+  });
+
+  it("should reject with the transaction and its receipt when the transaction reverts", async () => {
+    node.send = () => "revert";
+    const err = await rejection(txManager.send(contract, "setValue", [1], { description: "Setting the value" }));
+    assert.equal(err.message, `Setting the value reverted in transaction ${node.sent[0].hash}`);
+    assert.equal(err.tx, node.sent[0].hash);
+    assert.equal(err.receipt.status, 0);
+  });
+
+  it("should not send a transaction the node expects to fail, and give its nonce to the next one", async () => {
+    node.estimate = async () => {
+      throw new Error("VM Exception while processing transaction: revert");
+    };
+    let err = await rejection(txManager.send(contract, "setValue", [1]));
+    assert.isTrue(err.wouldFail);
+    assert.match(err.message, /^setValue would fail: VM Exception/);
+
+    // As some nodes say it, by estimating no gas at all
+    node.estimate = async () => ethers.utils.bigNumberify(0);
+    err = await rejection(txManager.send(contract, "setValue", [2]));
+    assert.isTrue(err.wouldFail);
+    assert.equal(node.sent.length, 0);
+
+    node.estimate = async () => ethers.utils.bigNumberify(100000);
+    await txManager.send(contract, "setValue", [3]);
+    assert.deepEqual(node.sent.map(({ nonce }) => nonce), [0]);
+  });
+});
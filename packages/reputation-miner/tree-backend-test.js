@@ -0,0 +1,182 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import web3Utils from "web3-utils";
+
+import { TruffleLoader } from "@colony/colony-js-contract-loader-fs";
+import patriciaJs from "./patricia";
+import { FileNodeStore, LRUNodeStore } from "./NodeStore";
+import { createGanacheWallet, JsTreeBackend, SolidityTreeBackend } from "./TreeBackend";
+
+const contractLoader = new TruffleLoader({
+  contractDir: path.resolve(__dirname, "..", "..", "build", "contracts")
+});
+
+const ZERO_HASH = "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+// Every backend has to pass this suite. `create` gives a new, empty tree; `reopen` gives a tree to restore a snapshot of `tree` into,
+// the way the mining client would after a restart.
+const backends = {
+  Javascript: {
+    create: async () => new JsTreeBackend(),
+    reopen: async () => new JsTreeBackend()
+  },
+  "Javascript, with its nodes on disk": {
+    create: async () => {
+      const file = path.join(os.tmpdir(), `tree-backend-test-${Date.now()}.nodes`);
+      const fileNodeStore = new FileNodeStore(file);
+      // A cache too small to hold the whole tree, so nodes have to be read back from the file
+      const tree = new JsTreeBackend({ nodeStore: new LRUNodeStore(fileNodeStore, 2) });
+      tree.fileNodeStore = fileNodeStore;
+      return tree;
+    },
+    reopen: async tree => {
+      tree.fileNodeStore.close();
+      const fileNodeStore = new FileNodeStore(tree.fileNodeStore.file);
+      const reopenedTree = new JsTreeBackend({ nodeStore: fileNodeStore });
+      reopenedTree.fileNodeStore = fileNodeStore;
+      return reopenedTree;
+    },
+    cleanUp: async tree => {
+      tree.fileNodeStore.close();
+      fs.unlinkSync(tree.fileNodeStore.file);
+    }
+  },
+  "Solidity, in ganache": {
+    create: async () => {
+      const contractDef = await contractLoader.load({ contractName: "PatriciaTree" }, { abi: true, address: false, bytecode: true });
+      return SolidityTreeBackend.deploy(contractDef, createGanacheWallet());
+    },
+    reopen: async tree => SolidityTreeBackend.deploy(tree.contractDef, tree.wallet)
+  }
+};
+
+const keys = ["dog", "ape", "cat", "owl", "emu", "yak", "gnu"].map(name => web3Utils.fromAscii(name));
+const valueOf = i => web3Utils.padLeft(web3Utils.toHex(i), 128);
+
+// What every backend should agree with: the Javascript Patricia tree itself, with the same contents
+function referenceTree(entries) {
+  const tree = new patriciaJs.PatriciaTree();
+  entries.forEach(([key, value]) => tree.insert(key, value));
+  return tree;
+}
+
+async function assertMatchesReference(tree, entries) {
+  const reference = referenceTree(entries);
+  assert.equal(await tree.getRootHash(), reference.getRootHash());
+  const keysInTree = [...new Set(entries.map(([key]) => key))];
+  for (let i = 0; i < keysInTree.length; i += 1) {
+    const [branchMask, siblings] = await tree.getProof(keysInTree[i]); // eslint-disable-line no-await-in-loop
+    const [referenceBranchMask, referenceSiblings] = reference.getProof(keysInTree[i]);
+    assert.equal(web3Utils.toBN(branchMask).toString(), referenceBranchMask.toString());
+    assert.deepEqual(siblings, referenceSiblings);
+  }
+}
+
+Object.keys(backends).forEach(name => {
+  const backend = backends[name];
+
+  describe(`Reputation tree backend conformance: ${name}`, () => {
+    let tree;
+
+    beforeEach(async () => {
+      tree = await backend.create();
+    });
+
+    afterEach(async () => {
+      if (backend.cleanUp) {
+        await backend.cleanUp(tree);
+      }
+    });
+
+    it("should start out empty", async () => {
+      assert.equal(await tree.getRootHash(), ZERO_HASH);
+      assert.equal(await tree.size(), 0);
+      assert.isUndefined(await tree.get(keys[0]));
+    });
+
+    it("should give the same root hashes and proofs as the reference tree after inserts and updates", async () => {
+      const entries = keys.map((key, i) => [key, valueOf(i)]);
+      entries.push([keys[2], valueOf(20)]);
+      for (let i = 0; i < entries.length; i += 1) {
+        await tree.insert(...entries[i]); // eslint-disable-line no-await-in-loop
+      }
+      await assertMatchesReference(tree, entries);
+      assert.equal(await tree.size(), keys.length);
+      assert.equal(await tree.get(keys[2]), valueOf(20));
+      assert.equal(await tree.get(keys[3]), valueOf(3));
+      assert.sameDeepMembers(await tree.entries(), keys.map((key, i) => [key, i === 2 ? valueOf(20) : valueOf(i)]));
+    });
+
+    it("should go through its keys in the order of the tree, from any place in it, until told to stop", async () => {
+      await tree.insertMany(keys.map((key, i) => [key, valueOf(i)]));
+      const firstThreeAfter = async afterKey => {
+        const visited = [];
+        await tree.forEach((key, value) => {
+          assert.equal(value, valueOf(keys.indexOf(key)));
+          visited.push(key);
+          return visited.length < 3;
+        }, afterKey);
+        return visited;
+      };
+      const inTreeOrder = [...keys].sort((a, b) => web3Utils.soliditySha3(a).localeCompare(web3Utils.soliditySha3(b)));
+      assert.deepEqual(await firstThreeAfter(), inTreeOrder.slice(0, 3));
+      assert.deepEqual(await firstThreeAfter(inTreeOrder[2]), inTreeOrder.slice(3, 6));
+      assert.deepEqual(await firstThreeAfter(inTreeOrder[5]), inTreeOrder.slice(6));
+
+      // The key to start after needn't be in the tree
+      const elk = web3Utils.fromAscii("elk");
+      const afterElk = inTreeOrder.filter(key => web3Utils.soliditySha3(key) > web3Utils.soliditySha3(elk));
+      assert.deepEqual(await firstThreeAfter(elk), afterElk.slice(0, 3));
+    });
+
+    it("should give the same tree after insertMany as after inserting one at a time", async () => {
+      await tree.insert(keys[0], valueOf(0));
+      const entries = keys.map((key, i) => [key, valueOf(i + 1)]);
+      entries.push([keys[4], valueOf(40)]);
+      await tree.insertMany(entries);
+      await assertMatchesReference(tree, [[keys[0], valueOf(0)], ...entries]);
+      assert.equal(await tree.get(keys[4]), valueOf(40));
+    });
+
+    it("should give implied roots that match its root only for the right value", async () => {
+      await tree.insertMany(keys.map((key, i) => [key, valueOf(i)]));
+      const root = await tree.getRootHash();
+      const [branchMask, siblings] = await tree.getProof(keys[5]);
+      assert.equal(await tree.getImpliedRoot(keys[5], valueOf(5), branchMask, siblings), root);
+      assert.notEqual(await tree.getImpliedRoot(keys[5], valueOf(6), branchMask, siblings), root);
+    });
+
+    it("should restore a snapshot", async () => {
+      const entries = keys.map((key, i) => [key, valueOf(i)]);
+      await tree.insertMany(entries);
+      const snapshot = JSON.parse(JSON.stringify(await tree.snapshot()));
+
+      tree = await backend.reopen(tree);
+      await tree.restore(snapshot);
+      await assertMatchesReference(tree, entries);
+      assert.equal(await tree.size(), keys.length);
+      assert.equal(await tree.get(keys[1]), valueOf(1));
+
+      // The restored tree carries on from where the snapshot left off
+      await tree.insert(keys[1], valueOf(10));
+      await assertMatchesReference(tree, [...entries, [keys[1], valueOf(10)]]);
+    });
+
+    it("should reject a snapshot whose root doesn't match, and stay as it was", async () => {
+      const entries = keys.map((key, i) => [key, valueOf(i)]);
+      await tree.insertMany(entries);
+      const snapshot = JSON.parse(JSON.stringify(await tree.snapshot()));
+      snapshot.root = snapshot.root.replace(/.$/, c => (c === "0" ? "1" : "0"));
+
+      let err;
+      try {
+        await tree.restore(snapshot);
+      } catch (e) {
+        err = e;
+      }
+      assert.isDefined(err);
+      await assertMatchesReference(tree, entries);
+    });
+  });
+});
@@ -5,6 +5,7 @@ import { toBN, sha3 } from "web3-utils";
 import { MANAGER, EVALUATOR, WORKER, MANAGER_ROLE, EVALUATOR_ROLE, WORKER_ROLE, WORKER_PAYOUT, INITIAL_FUNDING } from "../helpers/constants";
 import { getTokenArgs, checkErrorRevert, web3GetBalance, forwardTime, currentBlockTime, bnSqrt } from "../helpers/test-helper";
 import { fundColonyWithTokens, setupRatedTask, executeSignedTaskChange, executeSignedRoleAssignment, makeTask } from "../helpers/test-data-generator";
+import { getClaimRewardPayoutArgs } from "../packages/reputation-miner/RewardPayout";
 
 const EtherRouter = artifacts.require("EtherRouter");
 const IColony = artifacts.require("IColony");
@@ -656,6 +657,38 @@ contract("Colony Funding", addresses => {
       });
     });
 
+    it("should be able to claim a payout with the arguments getClaimRewardPayoutArgs works out, with inexact square roots", async () => {
+      const userReputation3 = toBN(10 * 1e18).addn(3);
+      const userTokens3 = toBN(7 * 1e18).addn(1);
+      await colony.bootstrapColony([userAddress3], [userReputation3.toString()]);
+      await token.approve(tokenLocking.address, userTokens3.toString(), {
+        from: userAddress3
+      });
+      await tokenLocking.deposit(token.address, userTokens3.toString(), {
+        from: userAddress3
+      });
+
+      const { logs } = await colony.startNextRewardPayout(otherToken.address);
+      const payoutId = logs[0].args.id;
+      const payoutInfo = await colony.getRewardPayoutInfo(payoutId);
+
+      const claim = getClaimRewardPayoutArgs({
+        payoutId,
+        userReputation: userReputation3,
+        userTokens: userTokens3,
+        totalReputation: totalReputation.add(userReputation3),
+        totalTokens: payoutInfo[1],
+        amount: payoutInfo[2]
+      });
+      await colony.claimRewardPayout(...claim.args, {
+        from: userAddress3
+      });
+
+      const balance = await otherToken.balanceOf(userAddress3);
+      assert.equal(balance.toString(), claim.reward);
+      assert.notEqual(claim.reward, "0");
+    });
+
     it("should not be able to claim payout if colony-wide reputation is 0", async () => {
       const { logs } = await colony.startNextRewardPayout(otherToken.address);
       const payoutId = logs[0].args.id;
@@ -1,13 +1,22 @@
 /* globals artifacts */
 
+import fs from "fs";
+import http from "http";
+import os from "os";
 import path from "path";
 import BN from "bn.js";
 import { TruffleLoader } from "@colony/colony-js-contract-loader-fs";
 
-import { forwardTime, checkErrorRevert, web3GetTransactionReceipt } from "../helpers/test-helper";
+import { forwardTime, checkErrorRevert, checkWouldFail, currentBlockTime, currentBlockNumber } from "../helpers/test-helper";
 import { giveUserCLNYTokens, giveUserCLNYTokensAndStake, setupRatedTask, fundColonyWithTokens } from "../helpers/test-data-generator";
 
 import ReputationMiner from "../packages/reputation-miner/ReputationMiner";
+import ReputationMinerClient from "../packages/reputation-miner/ReputationMinerClient";
+import { diffReputations, fetchReputationsFromOracle } from "../packages/reputation-miner/ReputationStateDiff";
+import ReputationHistory from "../packages/reputation-miner/ReputationHistory";
+import ReputationJournal from "../packages/reputation-miner/ReputationJournal";
+import ReputationOracle from "../packages/reputation-miner/ReputationOracle";
+import ReputationSnapshot from "../packages/reputation-miner/ReputationSnapshot";
 import MaliciousReputationMinerExtraRep from "../packages/reputation-miner/test/MaliciousReputationMinerExtraRep";
 import MaliciousReputationMinerWrongUID from "../packages/reputation-miner/test/MaliciousReputationMinerWrongUID";
 import MaliciousReputationMinerReuseUID from "../packages/reputation-miner/test/MaliciousReputationMinerReuseUID";
@@ -90,6 +99,75 @@ contract("ColonyNetworkMining", accounts => {
     await clny.transfer(0x0, userBalance, { from: MAIN_ACCOUNT });
   });
 
+  // The miner's transactions are rejected with their receipt when they are mined but fail, and without being sent when the node expects
+  // them to fail
+  async function succeeds(txPromise) {
+    try {
+      await txPromise;
+    } catch (err) {
+      if (err.receipt === undefined && !err.wouldFail) {
+        throw err;
+      }
+      return false;
+    }
+    return true;
+  }
+
+  // The mining clients a test has started, and the directories they keep their files in
+  let minerClients = [];
+
+  // Starts a mining client that mines with `miner`, with its files in `directory` (a new temporary one, by default). It only deals
+  // with the blocks the test tells it to deal with (see `clientHandleBlock`), rather than with every block it notices, so that tests
+  // can take it through a cycle one step at a time.
+  async function startMinerClient({ miner, directory = fs.mkdtempSync(path.join(os.tmpdir(), "reputation-miner-client-test-")), ...options }) {
+    // The longest interval Node allows, i.e. never during a test
+    miner.realProvider.pollingInterval = 2147483647; // eslint-disable-line no-param-reassign
+    const client = new ReputationMinerClient({
+      file: path.join(directory, "reputations.json"),
+      loader: contractLoader,
+      miner,
+      oraclePort: 0,
+      ...options
+    });
+    minerClients.push({ client, directory });
+    await client.initialise(colonyNetwork.address);
+    // Let it deal with the active cycle
+    await client.enqueue(() => {});
+    return client;
+  }
+
+  // Has a mining client take whatever step the latest block allows it, once it's done with anything it was still doing
+  async function clientHandleBlock(client) {
+    await client.enqueue(() => client.handleBlock());
+  }
+
+  // Asks the reputation oracle listening on `port` about `query`, resolving to the status and the body of its answer
+  function queryOracle(port, query) {
+    return new Promise((resolve, reject) => {
+      http
+        .get(`http://127.0.0.1:${port}${query}`, res => {
+          let body = "";
+          res.on("data", chunk => {
+            body += chunk;
+          });
+          res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        })
+        .on("error", reject);
+    });
+  }
+
+  function removeDirectory(directory) {
+    fs.readdirSync(directory).forEach(name => {
+      const file = path.join(directory, name);
+      if (fs.statSync(file).isDirectory()) {
+        removeDirectory(file);
+      } else {
+        fs.unlinkSync(file);
+      }
+    });
+    fs.rmdirSync(directory);
+  }
+
   async function accommodateChallengeAndInvalidateHash(test, client1, client2) {
     const reputationMiningCycleAddress = await colonyNetwork.getReputationMiningCycle.call(true);
     const repCycle = ReputationMiningCycle.at(reputationMiningCycleAddress);
@@ -123,23 +201,16 @@ contract("ColonyNetworkMining", accounts => {
       // Binary search will error when it is complete.
       let noError = true;
       while (noError) {
-        let txHash = await client1.respondToBinarySearchForChallenge(); // eslint-disable-line no-await-in-loop
-        let tx = await web3GetTransactionReceipt(txHash); // eslint-disable-line no-await-in-loop
-        if (parseInt(tx.status, 16) === 0) {
-          noError = false;
-        }
-        txHash = await client2.respondToBinarySearchForChallenge(); // eslint-disable-line no-await-in-loop
-        tx = await web3GetTransactionReceipt(txHash); // eslint-disable-line no-await-in-loop
-        if (parseInt(tx.status, 16) === 0) {
-          noError = false;
-        }
+        const client1Responded = await succeeds(client1.respondToBinarySearchForChallenge()); // eslint-disable-line no-await-in-loop
+        const client2Responded = await succeeds(client2.respondToBinarySearchForChallenge()); // eslint-disable-line no-await-in-loop
+        noError = client1Responded && client2Responded;
       }
       // Respond to the challenge - usually, only one of these should work.
       // If both work, then the starting reputation is 0 and one client is lying
       // about whether the key already exists.
       noError = true;
-      await client1.respondToChallenge();
-      await client2.respondToChallenge();
+      await succeeds(client1.respondToChallenge());
+      await succeeds(client2.respondToChallenge());
 
       // Work out which submission is to be invalidated.
       const submission1 = await repCycle.getDisputeRounds(round1.toString(), idx1.toString());
@@ -672,6 +743,36 @@ contract("ColonyNetworkMining", accounts => {
       await repCycle.submitRootHash("0x87654321", 10, 10, { from: OTHER_ACCOUNT });
     });
 
+    it("should work out entry hashes locally, and submit with the earliest eligible entry", async () => {
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
+
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      const repCycle = ReputationMiningCycle.at(addr);
+      await goodClient.addLogContentsToReputationTree();
+      const hash = await goodClient.getRootHash();
+
+      const entryHash = await repCycle.getEntryHash.call(MAIN_ACCOUNT, 7, hash);
+      assert.equal(goodClient.getEntryHash(7, hash), entryHash);
+
+      const nEntries = await goodClient.getNumberOfEntries();
+      assert.equal(nEntries.toString(), "1000");
+
+      // Only 12 entries can back a single hash, so those are the only ones lined up.
+      const schedule = await goodClient.getEntrySchedule(hash);
+      assert.equal(schedule.length, 12);
+      for (let i = 1; i < schedule.length; i += 1) {
+        assert.isAtMost(schedule[i - 1].timestamp, schedule[i].timestamp);
+      }
+
+      const now = await currentBlockTime();
+      if (schedule[0].timestamp > now) {
+        await forwardTime(schedule[0].timestamp - now, this);
+      }
+      await goodClient.submitRootHash();
+      const submission = await repCycle.getReputationHashSubmissions.call(MAIN_ACCOUNT);
+      assert.equal(submission[0], hash);
+    });
+
     it("should prevent submission of hashes with a valid entry, but invalid hash for the current time", async () => {
       await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
 
@@ -830,7 +931,7 @@ contract("ColonyNetworkMining", accounts => {
       await goodClient.submitJustificationRootHash();
 
       // Check that we can't re-submit a JRH
-      await checkErrorRevert(goodClient.submitJustificationRootHash());
+      await checkWouldFail(goodClient.submitJustificationRootHash());
 
       const submissionAfterJRHSubmitted = await repCycle.getDisputeRounds(0, 0);
       const jrh = await goodClient.justificationTree.getRootHash();
@@ -1014,7 +1115,7 @@ contract("ColonyNetworkMining", accounts => {
 
       // TODO: Split off in to  another test here, but can't be bothered to refactor right now.
       await goodClient.respondToChallenge();
-      await checkErrorRevert(badClient.respondToChallenge());
+      await checkWouldFail(badClient.respondToChallenge());
 
       // Check
       const goodSubmissionAfterResponseToChallenge = await repCycle.getDisputeRounds(0, 0);
@@ -1094,7 +1195,7 @@ contract("ColonyNetworkMining", accounts => {
       await badClient.respondToBinarySearchForChallenge();
 
       await goodClient.respondToChallenge();
-      await checkErrorRevert(badClient.respondToChallenge());
+      await checkWouldFail(badClient.respondToChallenge());
 
       // Check
       const goodSubmissionAfterResponseToChallenge = await repCycle.getDisputeRounds(0, 0);
@@ -1108,6 +1209,47 @@ contract("ColonyNetworkMining", accounts => {
       await repCycle.invalidateHash(0, 1);
     });
 
+    it("should list the reputations two miners disagree on, decoded", async () => {
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
+
+      let addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      let repCycle = ReputationMiningCycle.at(addr);
+      await forwardTime(3600, this);
+      await repCycle.submitRootHash("0x12345678", 10, 10);
+      await repCycle.confirmNewHash(0);
+
+      await giveUserCLNYTokens(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
+      await giveUserCLNYTokens(colonyNetwork, OTHER_ACCOUNT, "1000000000000000000");
+      addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      repCycle = ReputationMiningCycle.at(addr);
+      await forwardTime(3600, this);
+      await repCycle.submitRootHash("0x0", 0, 10);
+      await repCycle.confirmNewHash(0);
+
+      await goodClient.addLogContentsToReputationTree();
+      badClient = new MaliciousReputationMinerWrongUID(
+        { loader: contractLoader, minerAddress: OTHER_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree },
+        12,
+        "0xfffffffff"
+      );
+      await badClient.initialise(colonyNetwork.address);
+      await badClient.addLogContentsToReputationTree();
+
+      const falsifiedKey = await goodClient.getKeyForUpdateNumber(12);
+      const goodReputations = await goodClient.getReputations();
+      const diff = diffReputations(goodReputations, await badClient.getReputations());
+      assert.isAbove(diff.length, 0);
+      diff.forEach(({ differences }) => assert.deepEqual(differences, ["uid"]));
+      const falsified = diff.find(({ key }) => key === falsifiedKey);
+      assert.isDefined(falsified);
+      assert.equal(falsified.a.amount, falsified.b.amount);
+      assert.equal(new BN(falsified.b.uid).sub(new BN(falsified.a.uid)).toString(16), "fffffffff");
+      assert.equal(falsified.colonyAddress, `0x${falsifiedKey.slice(2, 42)}`);
+      assert.equal(falsified.userAddress, `0x${falsifiedKey.slice(106)}`);
+
+      assert.deepEqual(diffReputations(goodReputations, goodReputations), []);
+    });
+
     it("If a new reputation's uniqueID is wrong, that disagreement should be handled correctly", async () => {
       await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
       await giveUserCLNYTokensAndStake(colonyNetwork, OTHER_ACCOUNT, "1000000000000000000");
@@ -1256,7 +1398,7 @@ contract("ColonyNetworkMining", accounts => {
       await goodClient.respondToBinarySearchForChallenge();
       await badClient.respondToBinarySearchForChallenge();
 
-      await checkErrorRevert(badClient2.respondToChallenge(), "colony-inadequate-newest-reputation-proof");
+      await checkWouldFail(badClient2.respondToChallenge(), "colony-inadequate-newest-reputation-proof");
       // Cleanup
       await accommodateChallengeAndInvalidateHash(this, goodClient, badClient);
       await repCycle.confirmNewHash(1);
@@ -1788,7 +1930,7 @@ contract("ColonyNetworkMining", accounts => {
 
           await badClient2.respondToBinarySearchForChallenge();
           await badClient.respondToBinarySearchForChallenge();
-          await checkErrorRevert(badClient2.respondToChallenge());
+          await checkWouldFail(badClient2.respondToChallenge());
 
           // Cleanup
           await goodClient.respondToChallenge();
@@ -2105,10 +2247,11 @@ contract("ColonyNetworkMining", accounts => {
     it("The reputation mining client should insert reputation updates from the log", async () => {
       await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
 
+      // The log has to be applied to the state accepted on chain, so, as in beforeEach, we keep confirming the empty state
       let addr = await colonyNetwork.getReputationMiningCycle.call(true);
       let repCycle = ReputationMiningCycle.at(addr);
       await forwardTime(3600, this);
-      await repCycle.submitRootHash("0x12345678", 10, 10);
+      await repCycle.submitRootHash("0x0", 0, 10);
       await repCycle.confirmNewHash(0);
 
       await giveUserCLNYTokens(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
@@ -2117,7 +2260,7 @@ contract("ColonyNetworkMining", accounts => {
       addr = await colonyNetwork.getReputationMiningCycle.call(true);
       repCycle = ReputationMiningCycle.at(addr);
       await forwardTime(3600, this);
-      await repCycle.submitRootHash("0x12345678", 10, 10);
+      await repCycle.submitRootHash("0x0", 0, 10);
       await repCycle.confirmNewHash(0);
 
       // The update log should contain the person being rewarded for the previous
@@ -2147,14 +2290,15 @@ contract("ColonyNetworkMining", accounts => {
       // 8. Worker reputation for global skill task was in
       //
 
-      assert.equal(Object.keys(client.reputations).length, 8);
+      const reputations = await client.getReputations();
+      assert.equal(Object.keys(reputations).length, 8);
       // These should be:
       // 1. Colony-wide total reputation for metacolony's root skill
       let key = `0x${new BN(metaColony.address.slice(2), 16).toString(16, 40)}`;
       key += `${new BN("2").toString(16, 64)}`;
       key += `${new BN(0, 16).toString(16, 40)}`;
       assert.equal(
-        client.reputations[key],
+        reputations[key],
         `0x`+`0000000000000000000000000000000000000000000000006124fee993bc0000`+`0000000000000000000000000000000000000000000000000000000000000001` // eslint-disable-line
       );
 
@@ -2163,7 +2307,7 @@ contract("ColonyNetworkMining", accounts => {
       key += `${new BN("3").toString(16, 64)}`;
       key += `${new BN(0, 16).toString(16, 40)}`;
       assert.equal(
-        client.reputations[key],
+        reputations[key],
         `0x`+`0000000000000000000000000000000000000000000000000de0b6b3a7640000`+`0000000000000000000000000000000000000000000000000000000000000002` // eslint-disable-line
       );
 
@@ -2172,7 +2316,7 @@ contract("ColonyNetworkMining", accounts => {
       key += `${new BN("2").toString(16, 64)}`;
       key += `${new BN(MAIN_ACCOUNT.slice(2), 16).toString(16, 40)}`;
       assert.equal(
-        client.reputations[key],
+        reputations[key],
         `0x`+`0000000000000000000000000000000000000000000000006124fee993bc0000`+`0000000000000000000000000000000000000000000000000000000000000003` // eslint-disable-line
       );
 
@@ -2182,7 +2326,7 @@ contract("ColonyNetworkMining", accounts => {
       key += `${new BN("3").toString(16, 64)}`; // SkillId as uint256
       key += `${new BN(MAIN_ACCOUNT.slice(2), 16).toString(16, 40)}`; // User address as bytes
       assert.equal(
-        client.reputations[key],
+        reputations[key],
         `0x`+`0000000000000000000000000000000000000000000000000de0b6b3a7640000`+`0000000000000000000000000000000000000000000000000000000000000004` // eslint-disable-line
       );
       // 5. Reputation reward for OTHER_ACCOUNT for being the evaluator for the tasks created by giveUserCLNYTokens
@@ -2190,7 +2334,7 @@ contract("ColonyNetworkMining", accounts => {
       key += `${new BN("2").toString(16, 64)}`;
       key += `${new BN(OTHER_ACCOUNT.slice(2), 16).toString(16, 40)}`;
       assert.equal(
-        client.reputations[key],
+        reputations[key],
         `0x`+`0000000000000000000000000000000000000000000000000000000000000000`+`0000000000000000000000000000000000000000000000000000000000000005` // eslint-disable-line
       );
       // 6. Reputation reward for accounts[2] for being the worker for the tasks created by giveUserCLNYTokens
@@ -2199,7 +2343,7 @@ contract("ColonyNetworkMining", accounts => {
       key += `${new BN("2").toString(16, 64)}`;
       key += `${new BN(accounts[2].slice(2), 16).toString(16, 40)}`;
       assert.equal(
-        client.reputations[key],
+        reputations[key],
         `0x`+`0000000000000000000000000000000000000000000000000000000000000000`+`0000000000000000000000000000000000000000000000000000000000000006` // eslint-disable-line
       );
 
@@ -2208,7 +2352,7 @@ contract("ColonyNetworkMining", accounts => {
       key += `${new BN("1").toString(16, 64)}`;
       key += `${new BN(0, 16).toString(16, 40)}`;
       assert.equal(
-        client.reputations[key],
+        reputations[key],
         `0x`+`0000000000000000000000000000000000000000000000000000000000000000`+`0000000000000000000000000000000000000000000000000000000000000007` // eslint-disable-line
       );
 
@@ -2217,7 +2361,7 @@ contract("ColonyNetworkMining", accounts => {
       key += `${new BN("1").toString(16, 64)}`;
       key += `${new BN(accounts[2].slice(2), 16).toString(16, 40)}`;
       assert.equal(
-        client.reputations[key],
+        reputations[key],
         `0x`+`0000000000000000000000000000000000000000000000000000000000000000`+`0000000000000000000000000000000000000000000000000000000000000008` // eslint-disable-line
       );
     });
@@ -2228,37 +2372,965 @@ contract("ColonyNetworkMining", accounts => {
       let addr = await colonyNetwork.getReputationMiningCycle.call(true);
       let repCycle = ReputationMiningCycle.at(addr);
       await forwardTime(3600, this);
-      await repCycle.submitRootHash("0x12345678", 10, 10);
+      await goodClient.addLogContentsToReputationTree();
+      await goodClient.submitRootHash();
       await repCycle.confirmNewHash(0);
       await giveUserCLNYTokens(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
       await forwardTime(3600, this);
       addr = await colonyNetwork.getReputationMiningCycle.call(true);
       repCycle = ReputationMiningCycle.at(addr);
-      await repCycle.submitRootHash("0x123456789", 10, 10);
+      await goodClient.addLogContentsToReputationTree();
+      await goodClient.submitRootHash();
       await repCycle.confirmNewHash(0);
 
-      const client = new ReputationMiner({ loader: contractLoader, minerAddress: MAIN_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree });
-      await client.initialise(colonyNetwork.address);
-      await client.addLogContentsToReputationTree();
-      const newRootHash = await client.getRootHash();
-
+      await goodClient.addLogContentsToReputationTree();
       await forwardTime(3600, this);
       addr = await colonyNetwork.getReputationMiningCycle.call(true);
       repCycle = ReputationMiningCycle.at(addr);
-      await repCycle.submitRootHash(newRootHash, 10, 10);
+      await goodClient.submitRootHash();
       await repCycle.confirmNewHash(0);
       let key = `0x${new BN(metaColony.address.slice(2), 16).toString(16, 40)}`; // Colony address as bytes
       key += `${new BN("2").toString(16, 64)}`; // SkillId as uint256
       key += `${new BN(MAIN_ACCOUNT.slice(2), 16).toString(16, 40)}`; // User address as bytes
 
-      const value = client.reputations[key];
-      const proof = await client.getProof(key);
+      const value = await goodClient.getReputation(key);
+      const proof = await goodClient.getProof(key);
       const [branchMask, siblings] = proof;
       const validProof = await metaColony.verifyReputationProof(`${key}`, `${value}`, branchMask, siblings);
       assert.equal(validProof, true);
     });
 
+    it("should serve the log of the active cycle from its cache until the cache is invalidated", async () => {
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
+      await giveUserCLNYTokens(colonyNetwork, OTHER_ACCOUNT, "1000000000000000000");
+
+      let addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      let repCycle = ReputationMiningCycle.at(addr);
+      await forwardTime(3600, this);
+      await repCycle.submitRootHash("0x0", 0, 10);
+      await repCycle.confirmNewHash(0);
+
+      addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      repCycle = ReputationMiningCycle.at(addr);
+      const nLogEntries = await repCycle.getReputationUpdateLogLength();
+      const logEntries = await goodClient.logCache.getLogEntries();
+      assert.equal(goodClient.logCache.address.toLowerCase(), addr);
+      assert.equal(logEntries.length, nLogEntries.toNumber());
+      for (let i = 0; i < nLogEntries.toNumber(); i += 1) {
+        const logEntry = await repCycle.getReputationUpdateLogEntry(i); // eslint-disable-line no-await-in-loop
+        assert.equal(logEntries[i][0].toLowerCase(), logEntry[0]);
+        assert.equal(logEntries[i][1].toString(), logEntry[1].toString());
+        assert.equal(logEntries[i][2].toString(), logEntry[2].toString());
+        assert.equal(logEntries[i][3].toLowerCase(), logEntry[3]);
+        assert.equal(logEntries[i][4].toString(), logEntry[4].toString());
+        assert.equal(logEntries[i][5].toString(), logEntry[5].toString());
+
+        // Every update an entry implies maps back to that entry
+        const firstUpdate = new BN(logEntry[5].toString());
+        const lastUpdate = firstUpdate.add(new BN(logEntry[4].toString())).subn(1);
+        let logEntryNumber = await goodClient.getLogEntryNumberForUpdateNumber(firstUpdate); // eslint-disable-line no-await-in-loop
+        assert.equal(logEntryNumber.toNumber(), i);
+        logEntryNumber = await goodClient.getLogEntryNumberForUpdateNumber(lastUpdate); // eslint-disable-line no-await-in-loop
+        assert.equal(logEntryNumber.toNumber(), i);
+      }
+      // Asking again doesn't download the log again
+      const cachedLogEntries = await goodClient.logCache.getLogEntries();
+      assert.strictEqual(cachedLogEntries, logEntries);
+
+      await forwardTime(3600, this);
+      await repCycle.submitRootHash("0x0", 0, 10);
+      await repCycle.confirmNewHash(0);
+      // We don't ask the chain which cycle is active again until we're told it has changed
+      const staleLogEntries = await goodClient.logCache.getLogEntries();
+      assert.strictEqual(staleLogEntries, logEntries);
+      assert.equal(goodClient.logCache.address.toLowerCase(), addr);
+
+      goodClient.logCache.invalidate();
+      const newAddr = await colonyNetwork.getReputationMiningCycle.call(true);
+      const newLogEntries = await goodClient.logCache.getLogEntries();
+      assert.equal(goodClient.logCache.address.toLowerCase(), newAddr);
+      assert.notStrictEqual(newLogEntries, logEntries);
+    });
+
+    it("should keep a local mirror of the skill tree that agrees with the one on chain", async () => {
+      let parentSkillId = await colonyNetwork.getRootGlobalSkillId.call();
+      for (let i = 0; i < 4; i += 1) {
+        await metaColony.addGlobalSkill(parentSkillId); // eslint-disable-line no-await-in-loop
+        parentSkillId = await colonyNetwork.getSkillCount.call(); // eslint-disable-line no-await-in-loop
+      }
+      await metaColony.addDomain(1);
+
+      await goodClient.skillTree.update();
+      const skillCount = await colonyNetwork.getSkillCount.call();
+      assert.equal(goodClient.skillTree.skillCount, skillCount.toNumber());
+
+      for (let skillId = 1; skillId <= skillCount.toNumber(); skillId += 1) {
+        const [nParents, nChildren] = await colonyNetwork.getSkill.call(skillId); // eslint-disable-line no-await-in-loop
+        const localSkill = goodClient.skillTree.getSkill(skillId);
+        assert.equal(localSkill.nParents, nParents.toNumber());
+        assert.equal(localSkill.nChildren, nChildren.toNumber());
+        for (let i = 0; i < nChildren.toNumber(); i += 1) {
+          const childSkillId = await colonyNetwork.getChildSkillId.call(skillId, i); // eslint-disable-line no-await-in-loop
+          assert.equal(goodClient.skillTree.getChildSkillId(skillId, i), childSkillId.toNumber());
+        }
+        const nParentIds = goodClient.skillTree.skills[skillId].parents.length;
+        for (let i = 0; i < nParentIds; i += 1) {
+          const parentId = await colonyNetwork.getParentSkillId.call(skillId, i); // eslint-disable-line no-await-in-loop
+          assert.equal(goodClient.skillTree.getParentSkillId(skillId, i), parentId.toNumber());
+        }
+      }
+
+      // The mirror survives being persisted and restored
+      badClient.skillTree.load(JSON.parse(JSON.stringify(goodClient.skillTree)));
+      assert.deepEqual(badClient.skillTree.skills, goodClient.skillTree.skills);
+    });
+
+    it("should apply a negative reputation update to every skill in a deep subtree of the skill it was made in", async () => {
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
+      await giveUserCLNYTokensAndStake(colonyNetwork, OTHER_ACCOUNT, "1000000000000000000");
+      const WORKER = accounts[4];
+
+      // Build a chain of five global skills, so the first has a subtree four deep
+      const skills = [];
+      let parentSkillId = await colonyNetwork.getRootGlobalSkillId.call();
+      for (let i = 0; i < 5; i += 1) {
+        await metaColony.addGlobalSkill(parentSkillId); // eslint-disable-line no-await-in-loop
+        parentSkillId = await colonyNetwork.getSkillCount.call(); // eslint-disable-line no-await-in-loop
+        skills.push(parentSkillId);
+      }
+      const [topSkillId, ...childSkillIds] = skills;
+
+      const taskId = await setupRatedTask({
+        colonyNetwork,
+        colony: metaColony,
+        skill: topSkillId,
+        worker: WORKER,
+        managerPayout: 1000000000000,
+        evaluatorPayout: 1000000000000,
+        workerPayout: 1000000000000,
+        workerRating: 1
+      });
+      await metaColony.finalizeTask(taskId);
+
+      // Find the negative log entry in the top skill, in the log that will be processed next cycle
+      const inactiveAddr = await colonyNetwork.getReputationMiningCycle.call(false);
+      const inactiveRepCycle = ReputationMiningCycle.at(inactiveAddr);
+      const nLogEntries = await inactiveRepCycle.getReputationUpdateLogLength();
+      let logEntry;
+      for (let i = 0; i < nLogEntries.toNumber(); i += 1) {
+        const entry = await inactiveRepCycle.getReputationUpdateLogEntry(i); // eslint-disable-line no-await-in-loop
+        if (entry[0] === WORKER && entry[2].eq(topSkillId)) {
+          logEntry = entry;
+        }
+      }
+      const amount = new BN(logEntry[1].toString());
+      assert.isTrue(amount.isNeg());
+      const [nParents, nChildren] = await colonyNetwork.getSkill.call(topSkillId);
+      assert.equal(nChildren.toNumber(), 4);
+      assert.equal(logEntry[4].toNumber(), (nParents.toNumber() + 1 + nChildren.toNumber()) * 2);
+
+      // Lie about an update to the second child's colony-wide total
+      badClient = new MaliciousReputationMinerExtraRep(
+        { loader: contractLoader, minerAddress: OTHER_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree },
+        logEntry[5].toNumber() + 1,
+        0xfffffffff
+      );
+      await badClient.initialise(colonyNetwork.address);
+
+      // Give the worker reputation in the subtree: one child more than the update takes away, one less, and one none at all
+      const startingReputations = [amount.neg().muln(2), amount.neg().divn(2), new BN("0"), amount.neg().muln(3)];
+      for (let i = 0; i < childSkillIds.length; i += 1) {
+        const userAndColonyWide = [WORKER, "0x0000000000000000000000000000000000000000"];
+        for (let j = 0; j < userAndColonyWide.length; j += 1) {
+          if (!startingReputations[i].isZero() || j === 1) {
+            const reputation = startingReputations[i].isZero() ? amount.neg() : startingReputations[i];
+            await goodClient.insert(metaColony.address, childSkillIds[i], userAndColonyWide[j], reputation, 0); // eslint-disable-line no-await-in-loop
+            await badClient.insert(metaColony.address, childSkillIds[i], userAndColonyWide[j], reputation, 0); // eslint-disable-line no-await-in-loop
+          }
+        }
+      }
+      const rootHash = await goodClient.getRootHash();
+
+      await forwardTime(3600, this);
+      let addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      let repCycle = ReputationMiningCycle.at(addr);
+      await repCycle.submitRootHash(rootHash, goodClient.nReputations, 10);
+      await repCycle.confirmNewHash(0);
+      await forwardTime(3600, this);
+
+      addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      repCycle = ReputationMiningCycle.at(addr);
+      await goodClient.addLogContentsToReputationTree();
+      await badClient.addLogContentsToReputationTree();
+
+      // Every child lost the full amount, but no reputation went below zero
+      for (let i = 0; i < childSkillIds.length; i += 1) {
+        const key = await ReputationMiner.getKey(metaColony.address, childSkillIds[i], WORKER); // eslint-disable-line no-await-in-loop
+        const value = new BN((await goodClient.getReputation(key)).slice(2, 66), 16); // eslint-disable-line no-await-in-loop
+        const expected = startingReputations[i].add(amount);
+        assert.equal(value.toString(), expected.isNeg() ? "0" : expected.toString());
+      }
+
+      await goodClient.submitRootHash();
+      await badClient.submitRootHash();
+
+      await goodClient.submitJustificationRootHash();
+      await badClient.submitJustificationRootHash();
+
+      // The contract agrees with how the honest client updated the child skill
+      await accommodateChallengeAndInvalidateHash(this, goodClient, badClient);
+      await repCycle.confirmNewHash(1);
+    });
+
+    it("should refuse to mine a cycle if the local starting state does not match the one accepted on chain", async () => {
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      await forwardTime(3600, this);
+
+      // The accepted state is empty, but this client thinks someone already has some reputation
+      const rootGlobalSkill = await colonyNetwork.getRootGlobalSkillId.call();
+      await goodClient.insert(metaColony.address, rootGlobalSkill, OTHER_ACCOUNT, new BN("1000"), 0);
+
+      let addLogError;
+      try {
+        await goodClient.addLogContentsToReputationTree();
+      } catch (err) {
+        addLogError = err;
+      }
+      assert.isDefined(addLogError);
+      assert.include(addLogError.message.toLowerCase(), addr);
+
+      let submitError;
+      try {
+        await goodClient.submitRootHash();
+      } catch (err) {
+        submitError = err;
+      }
+      assert.isDefined(submitError);
+      const repCycle = ReputationMiningCycle.at(addr);
+      const nSubmittedHashes = await repCycle.nSubmittedHashes();
+      assert.equal(nSubmittedHashes.toNumber(), 0);
+    });
+
+    it("should be able to rebuild the reputation state by replaying the cycles completed since a given block", async () => {
+      // The state accepted at this point is empty, just like that of a freshly initialised miner.
+      const startBlock = await currentBlockNumber();
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
+
+      let addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      let repCycle = ReputationMiningCycle.at(addr);
+      await forwardTime(3600, this);
+      await goodClient.addLogContentsToReputationTree();
+      await goodClient.submitRootHash();
+      await repCycle.confirmNewHash(0);
+
+      await giveUserCLNYTokens(colonyNetwork, OTHER_ACCOUNT, "1000000000000000000");
+      addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      repCycle = ReputationMiningCycle.at(addr);
+      await forwardTime(3600, this);
+      await goodClient.addLogContentsToReputationTree();
+      await goodClient.submitRootHash();
+      await repCycle.confirmNewHash(0);
+
+      const client = new ReputationMiner({ loader: contractLoader, minerAddress: OTHER_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree });
+      await client.initialise(colonyNetwork.address);
+      const nCycles = await client.sync(startBlock);
+      assert.equal(nCycles, 2);
+
+      const rootHash = await client.getRootHash();
+      const goodRootHash = await goodClient.getRootHash();
+      assert.equal(rootHash, goodRootHash);
+      assert.equal(client.nReputations, goodClient.nReputations);
+      assert.deepEqual(await client.getReputations(), await goodClient.getReputations());
+    });
+
+    it("should keep every state confirmed while replaying, to answer about later", async () => {
+      const startBlock = await currentBlockNumber();
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
+
+      for (let i = 0; i < 2; i += 1) {
+        const addr = await colonyNetwork.getReputationMiningCycle.call(true); // eslint-disable-line no-await-in-loop
+        const repCycle = ReputationMiningCycle.at(addr);
+        await forwardTime(3600, this); // eslint-disable-line no-await-in-loop
+        await goodClient.addLogContentsToReputationTree(); // eslint-disable-line no-await-in-loop
+        await goodClient.submitRootHash(); // eslint-disable-line no-await-in-loop
+        await repCycle.confirmNewHash(0); // eslint-disable-line no-await-in-loop
+        await giveUserCLNYTokens(colonyNetwork, OTHER_ACCOUNT, "1000000000000000000"); // eslint-disable-line no-await-in-loop
+      }
+
+      const file = path.join(os.tmpdir(), `reputation-history-test-${Date.now()}.jsonl`);
+      const client = new ReputationMiner({ loader: contractLoader, minerAddress: OTHER_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree });
+      const history = new ReputationHistory(file, client);
+      await client.initialise(colonyNetwork.address);
+      await client.sync(startBlock, async ({ blockNumber }) => history.record(await ReputationSnapshot.take(client), { blockNumber }));
+
+      // The states are still in the tree after it has moved on from them, and the index of them is still there when it's opened again
+      const confirmations = await client.getConfirmedRootHashes(startBlock);
+      assert.equal(confirmations.length, 2);
+      const reopenedHistory = new ReputationHistory(file, client);
+      for (let i = 0; i < confirmations.length; i += 1) {
+        assert.isTrue(reopenedHistory.has(confirmations[i].hash));
+        const snapshot = await reopenedHistory.get(confirmations[i].hash); // eslint-disable-line no-await-in-loop
+        assert.equal(snapshot.rootHash, confirmations[i].hash);
+        assert.equal(snapshot.nNodes, confirmations[i].nNodes);
+      }
+      const { tree } = await reopenedHistory.get(confirmations[1].hash);
+      assert.sameDeepMembers(await tree.entries(), Object.entries(await client.getReputations()));
+      assert.isUndefined(await reopenedHistory.get(`0x${"0".repeat(64)}`));
+
+      fs.unlinkSync(file);
+    });
+
+    it("should give what each replayed cycle changed in every reputation it touched, and which log entries changed it", async () => {
+      const startBlock = await currentBlockNumber();
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, "1000000000000000000");
+
+      for (let i = 0; i < 2; i += 1) {
+        const addr = await colonyNetwork.getReputationMiningCycle.call(true); // eslint-disable-line no-await-in-loop
+        const repCycle = ReputationMiningCycle.at(addr);
+        await forwardTime(3600, this); // eslint-disable-line no-await-in-loop
+        await goodClient.addLogContentsToReputationTree(); // eslint-disable-line no-await-in-loop
+        await goodClient.submitRootHash(); // eslint-disable-line no-await-in-loop
+        await repCycle.confirmNewHash(0); // eslint-disable-line no-await-in-loop
+      }
+
+      const client = new ReputationMiner({ loader: contractLoader, minerAddress: OTHER_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree });
+      await client.initialise(colonyNetwork.address);
+      const updatesByCycle = [];
+      await client.sync(startBlock, async () => updatesByCycle.push(await client.getCycleUpdates()));
+      assert.equal(updatesByCycle.length, 2);
+
+      // Adding up the changes gives the reputations as they end up, and each change leads to the amount given with it
+      const totals = {};
+      updatesByCycle.forEach(updates =>
+        updates.forEach(({ key, colonyAddress, delta, amount, sources }) => {
+          totals[key] = new BN(totals[key] || "0").add(new BN(delta)).toString();
+          assert.equal(totals[key], amount);
+          // Nothing was capped, so the log entries that made the change add up to it
+          const sourcesTotal = sources.reduce((total, source) => total.add(new BN(source.amount)), new BN(0));
+          assert.equal(sourcesTotal.toString(), delta);
+          sources.forEach(source => assert.equal(source.colonyAddress, colonyAddress));
+        })
+      );
+      const reputations = await client.getReputations();
+      assert.deepEqual(Object.keys(totals).sort(), Object.keys(reputations).sort());
+      Object.keys(totals).forEach(key => assert.equal(totals[key], ReputationMiner.decodeValue(reputations[key]).amount));
+    });
+
+    it("should be able to defend a submission after a restart, with the justification data kept in the journal", async () => {
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, new BN("1000000000000000000"));
+      await giveUserCLNYTokensAndStake(colonyNetwork, OTHER_ACCOUNT, new BN("1000000000000000000"));
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      const repCycle = ReputationMiningCycle.at(addr);
+      await forwardTime(3600, this);
+      await goodClient.addLogContentsToReputationTree();
+      await badClient.addLogContentsToReputationTree();
+      await goodClient.submitRootHash();
+      await badClient.submitRootHash();
+
+      const journal = new ReputationJournal(path.join(os.tmpdir(), `reputation-journal-test-${Date.now()}.jsonl`));
+      journal.beginCycle({
+        cycleAddress: addr,
+        rootHash: await goodClient.getRootHash(),
+        nNodes: goodClient.nReputations,
+        jrh: await goodClient.justificationTree.getRootHash(),
+        justificationHashes: goodClient.justificationHashes,
+        updates: await goodClient.getCycleUpdates()
+      });
+      journal.record({ type: "submitted", entryIndex: 1, tx: "0x0" });
+
+      // Restart the good client with only what it keeps on disk: its reputation state, its skill tree and the journal
+      const client = new ReputationMiner({ loader: contractLoader, minerAddress: MAIN_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree });
+      await client.initialise(colonyNetwork.address);
+      await client.setReputations(JSON.parse(JSON.stringify(await goodClient.getReputations())));
+      client.skillTree.load(JSON.parse(JSON.stringify(goodClient.skillTree)));
+
+      const restored = journal.restore();
+      assert.equal(restored.cycleAddress, addr);
+      assert.deepEqual(restored.submittedEntries, [1]);
+      assert.equal(await client.getRootHash(), restored.rootHash);
+      const jrh = await client.restoreJustificationTree(restored.justificationHashes);
+      assert.equal(jrh, restored.jrh);
+
+      await accommodateChallengeAndInvalidateHash(this, client, badClient);
+      await repCycle.confirmNewHash(1);
+      const confirmedRootHash = await colonyNetwork.getReputationRootHash.call();
+      assert.equal(confirmedRootHash, restored.rootHash);
+
+      fs.unlinkSync(journal.file);
+    });
+
+    it("should let a miner without an address watch a cycle, and see every hash submitted to it and who submitted it", async () => {
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, new BN("1000000000000000000"));
+      await giveUserCLNYTokensAndStake(colonyNetwork, OTHER_ACCOUNT, new BN("1000000000000000000"));
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      await forwardTime(3600, this);
+      await goodClient.addLogContentsToReputationTree();
+      await badClient.addLogContentsToReputationTree();
+      await goodClient.submitRootHash();
+      await badClient.submitRootHash();
+
+      const observer = new ReputationMiner({ loader: contractLoader, realProviderPort: REAL_PROVIDER_PORT, useJsTree });
+      assert.isUndefined(observer.txManager);
+      await observer.initialise(colonyNetwork.address);
+      await observer.addLogContentsToReputationTree();
+      const rootHash = await observer.getRootHash();
+      assert.equal(rootHash, await goodClient.getRootHash());
+
+      const submissions = await observer.getSubmissions(addr);
+      assert.equal(submissions.length, 2);
+      const goodSubmission = submissions.find(({ submitter }) => submitter === MAIN_ACCOUNT.toLowerCase());
+      assert.equal(goodSubmission.hash, rootHash);
+      assert.equal(goodSubmission.nNodes, observer.nReputations);
+      const badSubmission = submissions.find(({ submitter }) => submitter === OTHER_ACCOUNT.toLowerCase());
+      assert.equal(badSubmission.hash, await badClient.getRootHash());
+
+      // Once a hash has moved on from the round it was submitted in, we can still find it if we saw it before
+      await accommodateChallengeAndInvalidateHash(this, goodClient, badClient);
+      assert.deepEqual(await observer.getSubmissions(addr, submissions), submissions);
+    });
+
+    it("should be able to stake and withdraw CLNY, and tell when a withdrawal would be blocked by a submission", async () => {
+      await giveUserCLNYTokens(colonyNetwork, MAIN_ACCOUNT, new BN("1000000000000000000"));
+      let stake = await goodClient.getStake();
+      assert.isTrue(stake.staked.isZero());
+      assert.equal(stake.unstaked.toString(), "1000000000000000000");
+
+      await goodClient.stake(new BN("1000000000000000000"));
+      stake = await goodClient.getStake();
+      assert.equal(stake.staked.toString(), "1000000000000000000");
+      assert.isTrue(stake.unstaked.isZero());
+      assert.equal(stake.entries.toString(), "1000");
+      assert.isFalse(stake.locked);
+      assert.isUndefined(stake.submittedHash);
+
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      await forwardTime(3600, this);
+      await goodClient.addLogContentsToReputationTree();
+      await goodClient.submitRootHash();
+      stake = await goodClient.getStake();
+      assert.equal(stake.submittedHash, await goodClient.getRootHash());
+      await checkWouldFail(goodClient.unstake(stake.staked));
+
+      const repCycle = ReputationMiningCycle.at(addr);
+      await repCycle.confirmNewHash(0);
+      stake = await goodClient.getStake();
+      assert.isUndefined(stake.submittedHash);
+      await goodClient.unstake(stake.staked);
+      stake = await goodClient.getStake();
+      assert.isTrue(stake.staked.isZero());
+      assert.equal(stake.unstaked.toString(), "1000000000000000000");
+    });
+
     it.skip("The reputation mining client should calculate reputation decay correctly");
     it.skip("should abort if a deposit did not complete correctly");
   });
+
+  describe("Mining client", () => {
+    afterEach(async () => {
+      await Promise.all(minerClients.map(({ client }) => client.stop()));
+      // A client that was restarted kept its files in the same directory
+      new Set(minerClients.map(({ directory }) => directory)).forEach(removeDirectory);
+      minerClients = [];
+    });
+
+    it("should defend its submission against a bad one, responding to each step of the dispute, until its hash is confirmed", async () => {
+      // Enough for one entry each
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, new BN("1000000000000000"));
+      await giveUserCLNYTokensAndStake(colonyNetwork, OTHER_ACCOUNT, new BN("1000000000000000"));
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      const repCycle = ReputationMiningCycle.at(addr);
+
+      const miner = new ReputationMiner({ loader: contractLoader, minerAddress: MAIN_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree });
+      const client = await startMinerClient({ miner });
+      const badMiner = new MaliciousReputationMinerExtraRep(
+        { loader: contractLoader, minerAddress: OTHER_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree },
+        1,
+        0xfffffffff
+      );
+      const badMinerClient = await startMinerClient({ miner: badMiner });
+
+      // Once both entries are eligible, both clients submit. The submission window is still open then, so the first to submit doesn't
+      // confirm its hash before the other has submitted.
+      const [entry] = await miner.getEntrySchedule(await miner.getRootHash());
+      const [badEntry] = await badMiner.getEntrySchedule(await badMiner.getRootHash());
+      const eligibleAt = Math.max(entry.timestamp, badEntry.timestamp);
+      const now = await currentBlockTime();
+      if (eligibleAt > now) {
+        await forwardTime(eligibleAt - now, this);
+      }
+      await clientHandleBlock(client);
+      await clientHandleBlock(badMinerClient);
+      assert.equal(client.phase, "submitted");
+      // The second to submit has an opponent straight away
+      assert.equal(badMinerClient.phase, "disputing");
+      const nSubmittedHashes = await repCycle.nSubmittedHashes();
+      assert.equal(nSubmittedHashes.toNumber(), 2);
+
+      // From here on, it's up to the clients. After each of them has had its turn, whoever didn't respond is out of time.
+      for (let i = 0; i < 30 && client.phase !== "confirmed"; i += 1) {
+        await clientHandleBlock(client); // eslint-disable-line no-await-in-loop
+        if (client.phase !== "confirmed") {
+          await clientHandleBlock(badMinerClient); // eslint-disable-line no-await-in-loop
+          await forwardTime(600, this); // eslint-disable-line no-await-in-loop
+        }
+      }
+      assert.equal(client.phase, "confirmed");
+      const confirmedRootHash = await colonyNetwork.getReputationRootHash.call();
+      const confirmedNNodes = await colonyNetwork.getReputationRootHashNNodes.call();
+      assert.equal(confirmedRootHash, await miner.getRootHash());
+      assert.equal(confirmedNNodes.toNumber(), miner.nReputations);
+      assert.notEqual(confirmedRootHash, await badMiner.getRootHash());
+    });
+
+    it("should submit with each of its entries once it becomes eligible, and confirm its hash once the submission window has closed", async () => {
+      // Enough for two entries
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, new BN("2000000000000000"));
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      const repCycle = ReputationMiningCycle.at(addr);
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "reputation-miner-client-test-"));
+      const journal = new ReputationJournal(path.join(directory, "reputations.journal.jsonl"));
+
+      const miner = new ReputationMiner({ loader: contractLoader, minerAddress: MAIN_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree });
+      const client = await startMinerClient({ miner, directory });
+      // The submission window has only just opened, so neither entry is eligible yet
+      assert.equal(client.phase, "waiting");
+      const rootHash = await miner.getRootHash();
+      const schedule = await miner.getEntrySchedule(rootHash);
+      assert.equal(schedule.length, 2);
+      assert.deepEqual(journal.restore().submittedEntries, []);
+
+      for (let i = 0; i < schedule.length; i += 1) {
+        const { entryIndex, timestamp } = schedule[i];
+        const now = await currentBlockTime(); // eslint-disable-line no-await-in-loop
+        if (timestamp > now) {
+          await forwardTime(timestamp - now, this); // eslint-disable-line no-await-in-loop
+        }
+        const blockTime = await currentBlockTime(); // eslint-disable-line no-await-in-loop
+        await clientHandleBlock(client); // eslint-disable-line no-await-in-loop
+        assert.equal(client.phase, "submitted");
+        // It has submitted with every entry that was eligible in the block it dealt with, and with none that wasn't
+        const eligibleEntries = schedule.filter(entry => entry.timestamp <= blockTime).map(entry => entry.entryIndex);
+        assert.include(eligibleEntries, entryIndex);
+        assert.deepEqual(journal.restore().submittedEntries, eligibleEntries);
+      }
+      const nSubmittedHashes = await repCycle.nSubmittedHashes.call();
+      assert.equal(nSubmittedHashes.toNumber(), 1);
+
+      // Once nobody else can submit a hash, it confirms its own
+      const windowOpened = await repCycle.reputationMiningWindowOpenTimestamp.call();
+      await forwardTime(windowOpened.toNumber() + 3600 - (await currentBlockTime()) + 1, this);
+      await clientHandleBlock(client);
+      assert.equal(client.phase, "confirmed");
+      const confirmedRootHash = await colonyNetwork.getReputationRootHash.call();
+      const confirmedNNodes = await colonyNetwork.getReputationRootHashNNodes.call();
+      assert.equal(confirmedRootHash, rootHash);
+      assert.equal(confirmedNNodes.toNumber(), miner.nReputations);
+    });
+
+    it("should have its oracle answer from the confirmed state while it works on the next one, and switch once that is confirmed", async () => {
+      const ORACLE_PORT = 3001;
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, new BN("1000000000000000"));
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      const repCycle = ReputationMiningCycle.at(addr);
+      const miner = new ReputationMiner({ loader: contractLoader, minerAddress: MAIN_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree });
+      const client = await startMinerClient({ miner, oraclePort: ORACLE_PORT });
+      const [entry] = await miner.getEntrySchedule(await miner.getRootHash());
+      const now = await currentBlockTime();
+      if (entry.timestamp > now) {
+        await forwardTime(entry.timestamp - now, this);
+      }
+      await clientHandleBlock(client);
+      assert.equal(client.phase, "submitted");
+
+      // What it submitted isn't confirmed yet, so the oracle still answers from the empty state that is
+      const submittedRootHash = await miner.getRootHash();
+      let confirmedRootHash = await colonyNetwork.getReputationRootHash.call();
+      assert.notEqual(submittedRootHash, confirmedRootHash);
+      let { status, body } = await queryOracle(ORACLE_PORT, `/users/${MAIN_ACCOUNT}/reputations`);
+      assert.equal(status, 200);
+      assert.equal(body.reputationRootHash, confirmedRootHash);
+      assert.equal(body.nNodes, 0);
+      assert.deepEqual(body.reputations, []);
+
+      // It confirms its hash once the submission window has closed
+      const windowOpened = await repCycle.reputationMiningWindowOpenTimestamp.call();
+      await forwardTime(windowOpened.toNumber() + 3600 - (await currentBlockTime()) + 1, this);
+      await clientHandleBlock(client);
+      assert.equal(client.phase, "confirmed");
+      confirmedRootHash = await colonyNetwork.getReputationRootHash.call();
+      const confirmedNNodes = await colonyNetwork.getReputationRootHashNNodes.call();
+      assert.equal(confirmedRootHash, submittedRootHash);
+
+      // Once it has moved on to the next cycle, the oracle answers from the state that was just confirmed
+      await clientHandleBlock(client);
+      ({ status, body } = await queryOracle(ORACLE_PORT, `/users/${MAIN_ACCOUNT}/reputations`));
+      assert.equal(status, 200);
+      assert.equal(body.reputationRootHash, confirmedRootHash);
+      assert.equal(body.nNodes, confirmedNNodes.toNumber());
+      // The reward for the submission in beforeEach
+      assert.isAbove(body.reputations.length, 0);
+      body.reputations.forEach(({ colonyAddress }) => assert.equal(colonyAddress, metaColony.address.toLowerCase()));
+    });
+
+    it("should carry on with its cycle after a restart, without submitting again with an entry it has already used", async () => {
+      // Enough for two entries
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, new BN("2000000000000000"));
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      const repCycle = ReputationMiningCycle.at(addr);
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "reputation-miner-client-test-"));
+      const journalFile = path.join(directory, "reputations.journal.jsonl");
+      const journal = new ReputationJournal(journalFile);
+      const minerOptions = { loader: contractLoader, minerAddress: MAIN_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree };
+
+      let miner = new ReputationMiner(minerOptions);
+      let client = await startMinerClient({ miner, directory });
+      const rootHash = await miner.getRootHash();
+      const schedule = await miner.getEntrySchedule(rootHash);
+      assert.equal(schedule.length, 2);
+      const now = await currentBlockTime();
+      if (schedule[0].timestamp > now) {
+        await forwardTime(schedule[0].timestamp - now, this);
+      }
+      await clientHandleBlock(client);
+      assert.equal(client.phase, "submitted");
+      assert.include(journal.restore().submittedEntries, schedule[0].entryIndex);
+
+      // Restart it, with only what it keeps on disk
+      await client.stop();
+      const journalBeforeRestart = fs.readFileSync(journalFile, "utf8");
+      miner = new ReputationMiner(minerOptions);
+      client = await startMinerClient({ miner, directory });
+      assert.equal(client.phase, "submitted");
+      assert.equal(await miner.getRootHash(), rootHash);
+      // It didn't begin the cycle again, and didn't submit again with an entry it had used
+      const journalAfterRestart = fs.readFileSync(journalFile, "utf8");
+      assert.isTrue(journalAfterRestart.startsWith(journalBeforeRestart));
+      const submittingEntries = journalAfterRestart
+        .split("\n")
+        .filter(line => line.length > 0)
+        .map(line => JSON.parse(line))
+        .filter(({ type }) => type === "submitting")
+        .map(({ entryIndex }) => entryIndex);
+      assert.deepEqual(submittingEntries, Array.from(new Set(submittingEntries)));
+      let nSubmittedHashes = await repCycle.nSubmittedHashes.call();
+      assert.equal(nSubmittedHashes.toNumber(), 1);
+
+      // The entry it hadn't used yet, it still does
+      const blockTime = await currentBlockTime();
+      if (schedule[1].timestamp > blockTime) {
+        await forwardTime(schedule[1].timestamp - blockTime, this);
+      }
+      await clientHandleBlock(client);
+      assert.deepEqual(journal.restore().submittedEntries, schedule.map(({ entryIndex }) => entryIndex));
+      nSubmittedHashes = await repCycle.nSubmittedHashes.call();
+      assert.equal(nSubmittedHashes.toNumber(), 1);
+
+      const windowOpened = await repCycle.reputationMiningWindowOpenTimestamp.call();
+      await forwardTime(windowOpened.toNumber() + 3600 - (await currentBlockTime()) + 1, this);
+      await clientHandleBlock(client);
+      assert.equal(client.phase, "confirmed");
+      const confirmedRootHash = await colonyNetwork.getReputationRootHash.call();
+      assert.equal(confirmedRootHash, rootHash);
+    });
+
+    it("should not take a step in a dispute again after a restart, once its journal says the step went through", async () => {
+      await giveUserCLNYTokensAndStake(colonyNetwork, MAIN_ACCOUNT, new BN("1000000000000000"));
+      await giveUserCLNYTokensAndStake(colonyNetwork, OTHER_ACCOUNT, new BN("1000000000000000"));
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      const repCycle = ReputationMiningCycle.at(addr);
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "reputation-miner-client-test-"));
+      const journalFile = path.join(directory, "reputations.journal.jsonl");
+      const journal = new ReputationJournal(journalFile);
+      const minerOptions = { loader: contractLoader, minerAddress: MAIN_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree };
+
+      let miner = new ReputationMiner(minerOptions);
+      let client = await startMinerClient({ miner, directory });
+      const [entry] = await miner.getEntrySchedule(await miner.getRootHash());
+      let now = await currentBlockTime();
+      if (entry.timestamp > now) {
+        await forwardTime(entry.timestamp - now, this);
+      }
+      await clientHandleBlock(client);
+      assert.equal(client.phase, "submitted");
+      await client.stop();
+
+      // While it was stopped, an opponent turned up
+      await badClient.addLogContentsToReputationTree();
+      const [badEntry] = await badClient.getEntrySchedule(await badClient.getRootHash());
+      now = await currentBlockTime();
+      if (badEntry.timestamp > now) {
+        await forwardTime(badEntry.timestamp - now, this);
+      }
+      await badClient.submitRootHash();
+      // As if it had submitted its JRH before it was stopped, and the node it reads the dispute from hadn't caught up with that yet
+      const [round, index] = await miner.getMySubmissionRoundAndIndex();
+      const jrhStep = `jrh-${round.toString()}-${index.toString()}-0`;
+      journal.record({ type: "disputeStepDone", step: jrhStep, tx: "0x0" });
+      assert.deepEqual(journal.restore().completedSteps, [jrhStep]);
+
+      const journalBeforeRestart = fs.readFileSync(journalFile, "utf8");
+      miner = new ReputationMiner(minerOptions);
+      client = await startMinerClient({ miner, directory });
+      assert.equal(client.phase, "disputing");
+      // Submitting the JRH is the step it would take next, but the journal says it already has
+      assert.equal(fs.readFileSync(journalFile, "utf8"), journalBeforeRestart);
+      const submission = await repCycle.getDisputeRounds(round.toString(), index.toString());
+      assert.equal(submission[4], "0x0000000000000000000000000000000000000000000000000000000000000000");
+
+      // Settle the dispute, so the cycle can be confirmed afterwards
+      await goodClient.addLogContentsToReputationTree();
+      await accommodateChallengeAndInvalidateHash(this, goodClient, badClient);
+    });
+
+    it("should process the log of its cycle again after a restart, if it was stopped before it wrote the state it built", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "reputation-miner-client-test-"));
+      const file = path.join(directory, "reputations.json");
+      const journal = new ReputationJournal(path.join(directory, "reputations.journal.jsonl"));
+      const minerOptions = { loader: contractLoader, minerAddress: MAIN_ACCOUNT, realProviderPort: REAL_PROVIDER_PORT, useJsTree };
+
+      let miner = new ReputationMiner(minerOptions);
+      let client = await startMinerClient({ miner, directory });
+      const rootHash = await miner.getRootHash();
+      const nNodes = miner.nReputations;
+      assert.isAbove(nNodes, 0);
+      await client.stop();
+      const { cycleAddress } = journal.restore();
+
+      // The journal of the cycle was written, but the state it is of wasn't, so the state on disk is the (empty) one the cycle started from
+      fs.writeFileSync(file, "{}");
+      ["reputations.skills.json", "reputations.tree.json"]
+        .map(name => path.join(directory, name))
+        .filter(name => fs.existsSync(name))
+        .forEach(name => fs.unlinkSync(name));
+
+      miner = new ReputationMiner(minerOptions);
+      client = await startMinerClient({ miner, directory });
+      assert.equal(await miner.getRootHash(), rootHash);
+      assert.equal(miner.nReputations, nNodes);
+      assert.equal(Object.keys(JSON.parse(fs.readFileSync(file, "utf8"))).length, nNodes);
+      const restored = journal.restore();
+      assert.equal(restored.cycleAddress, cycleAddress);
+      assert.equal(restored.rootHash, rootHash);
+      assert.deepEqual(restored.submittedEntries, []);
+    });
+
+    it("should raise the alarm, at its webhook and by exiting, when a hash other than the one it built is confirmed while it observes", async () => {
+      // Enough for one entry
+      await giveUserCLNYTokensAndStake(colonyNetwork, OTHER_ACCOUNT, new BN("1000000000000000"));
+      const addr = await colonyNetwork.getReputationMiningCycle.call(true);
+      const repCycle = ReputationMiningCycle.at(addr);
+
+      // A webhook that keeps every request it is sent
+      const requests = [];
+      const webhook = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => {
+          body += chunk;
+        });
+        req.on("end", () => {
+          requests.push({ method: req.method, url: req.url, contentType: req.headers["content-type"], body: JSON.parse(body) });
+          res.end();
+        });
+      });
+      await new Promise(resolve => webhook.listen(0, "127.0.0.1", resolve));
+      const exitCodes = [];
+      const { exit } = process;
+      process.exit = code => exitCodes.push(code);
+
+      try {
+        const observer = new ReputationMiner({ loader: contractLoader, realProviderPort: REAL_PROVIDER_PORT, useJsTree });
+        const client = await startMinerClient({
+          miner: observer,
+          observe: true,
+          alertWebhook: `http://127.0.0.1:${webhook.address().port}/alerts`,
+          exitOnAlert: true
+        });
+        assert.equal(client.phase, "waiting");
+        const expectedRootHash = await observer.getRootHash();
+        const expectedNNodes = observer.nReputations;
+
+        // The only hash submitted is a bad one, which is confirmed
+        await badClient.addLogContentsToReputationTree();
+        const badRootHash = await badClient.getRootHash();
+        assert.notEqual(badRootHash, expectedRootHash);
+        await forwardTime(3600, this);
+        await badClient.submitRootHash();
+        await clientHandleBlock(client);
+        assert.deepEqual(requests, []);
+        const { receipt } = await repCycle.confirmNewHash(0);
+        await clientHandleBlock(client);
+
+        // 2 is the code the client exits with after an alert
+        assert.deepEqual(exitCodes, [2]);
+        assert.equal(requests.length, 1);
+        const [{ method, url, contentType, body }] = requests;
+        assert.equal(method, "POST");
+        assert.equal(url, "/alerts");
+        assert.equal(contentType, "application/json");
+        assert.equal(body.alert, "unexpectedReputationRootHash");
+        assert.equal(body.cycleAddress.toLowerCase(), addr.toLowerCase());
+        assert.equal(body.blockNumber, receipt.blockNumber);
+        assert.equal(body.confirmedHash, badRootHash);
+        assert.equal(body.confirmedNNodes, badClient.nReputations);
+        assert.equal(body.expectedHash, expectedRootHash);
+        assert.equal(body.expectedNNodes, expectedNNodes);
+        assert.equal(body.submissions.length, 1);
+        assert.equal(body.submissions[0].submitter.toLowerCase(), OTHER_ACCOUNT.toLowerCase());
+        assert.equal(body.submissions[0].hash, badRootHash);
+      } finally {
+        process.exit = exit;
+        await new Promise(resolve => webhook.close(resolve));
+      }
+    });
+  });
+
+  describe("Reputation oracle", () => {
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+    const [USER0, USER1, USER2, USER3] = accounts.slice(0, 4).map(address => address.toLowerCase());
+    let colonyAddress;
+    let values;
+    let snapshot;
+    let oracle;
+    let port;
+
+    beforeEach(async () => {
+      colonyAddress = metaColony.address.toLowerCase();
+      // USER0 and USER2 have the same reputation in skill 2 of the colony, so they're ordered by their address
+      const reputations = [
+        [colonyAddress, 2, USER0, 300],
+        [colonyAddress, 2, USER1, 100],
+        [colonyAddress, 2, USER2, 300],
+        [colonyAddress, 2, USER3, 50],
+        [colonyAddress, 2, ZERO_ADDRESS, 750],
+        [colonyAddress, 3, USER0, 20],
+        [colonyAddress, 3, ZERO_ADDRESS, 20],
+        [clny.address.toLowerCase(), 2, USER0, 5]
+      ];
+      values = {};
+      for (let i = 0; i < reputations.length; i += 1) {
+        const [colony, skillId, user, amount] = reputations[i];
+        const key = await ReputationMiner.getKey(colony, skillId, user); // eslint-disable-line no-await-in-loop
+        values[key] = goodClient.getValueAsBytes(amount, i + 1);
+      }
+      snapshot = await ReputationSnapshot.create(values);
+      oracle = new ReputationOracle(goodClient);
+      oracle.setSnapshot(snapshot);
+      await oracle.listen(0, "127.0.0.1");
+      ({ port } = oracle.server.address());
+    });
+
+    afterEach(async () => {
+      await oracle.close();
+    });
+
+    it("should not answer before it has a confirmed reputation state to answer from", async () => {
+      oracle.setSnapshot(undefined);
+      let { status, body } = await queryOracle(port, `/colonies/${colonyAddress}/skills/2/total`);
+      assert.equal(status, 503);
+      assert.isUndefined(body.reputationRootHash);
+
+      oracle.setSnapshot(snapshot);
+      ({ status, body } = await queryOracle(port, `/colonies/${colonyAddress}/skills/2/total`));
+      assert.equal(status, 200);
+      assert.equal(body.reputationRootHash, snapshot.rootHash);
+    });
+
+    it("should give every reputation of a user, in every colony and skill", async () => {
+      const { status, body } = await queryOracle(port, `/users/${accounts[0]}/reputations`);
+      assert.equal(status, 200);
+      assert.equal(body.reputationRootHash, snapshot.rootHash);
+      assert.equal(body.nNodes, 8);
+      assert.equal(body.userAddress, USER0);
+      const byColonyAndSkill = (a, b) => `${a.colonyAddress}-${a.skillId}`.localeCompare(`${b.colonyAddress}-${b.skillId}`);
+      const expectedReputations = [
+        { colonyAddress: clny.address.toLowerCase(), skillId: "2", reputationAmount: "5" },
+        { colonyAddress, skillId: "2", reputationAmount: "300" },
+        { colonyAddress, skillId: "3", reputationAmount: "20" }
+      ];
+      assert.deepEqual(body.reputations.sort(byColonyAndSkill), expectedReputations.sort(byColonyAndSkill));
+
+      const { body: noReputations } = await queryOracle(port, `/users/${accounts[4]}/reputations`);
+      assert.deepEqual(noReputations.reputations, []);
+      const { status: invalidStatus } = await queryOracle(port, "/users/0x123/reputations");
+      assert.equal(invalidStatus, 400);
+    });
+
+    it("should give the users with reputation in a colony and skill, most reputation first, a page at a time", async () => {
+      const leaderboard = `/colonies/${colonyAddress}/skills/2/leaderboard`;
+      const tied = [USER0, USER2].sort();
+      let { status, body } = await queryOracle(port, leaderboard);
+      assert.equal(status, 200);
+      assert.equal(body.reputationRootHash, snapshot.rootHash);
+      assert.equal(body.nUsers, 4);
+      assert.equal(body.page, 0);
+      assert.equal(body.pageSize, 20);
+      // The colony-wide reputation isn't a user's
+      assert.deepEqual(body.users, [
+        { userAddress: tied[0], reputationAmount: "300" },
+        { userAddress: tied[1], reputationAmount: "300" },
+        { userAddress: USER1, reputationAmount: "100" },
+        { userAddress: USER3, reputationAmount: "50" }
+      ]);
+
+      ({ body } = await queryOracle(port, `${leaderboard}?page=1&pageSize=3`));
+      assert.equal(body.nUsers, 4);
+      assert.deepEqual(body.users, [{ userAddress: USER3, reputationAmount: "50" }]);
+      ({ body } = await queryOracle(port, `${leaderboard}?page=0&pageSize=2`));
+      assert.deepEqual(body.users.map(({ userAddress }) => userAddress), tied);
+      ({ body } = await queryOracle(port, `${leaderboard}?page=2&pageSize=2`));
+      assert.deepEqual(body.users, []);
+
+      const invalidQueries = ["page=-1", "page=1.5", "page=first", "pageSize=0", "pageSize=1001", "pageSize=2.5"];
+      for (let i = 0; i < invalidQueries.length; i += 1) {
+        ({ status } = await queryOracle(port, `${leaderboard}?${invalidQueries[i]}`)); // eslint-disable-line no-await-in-loop
+        assert.equal(status, 400, invalidQueries[i]);
+      }
+      ({ status } = await queryOracle(port, "/colonies/0x123/skills/2/leaderboard"));
+      assert.equal(status, 400);
+    });
+
+    it("should give the colony-wide reputation in a skill, with the proof that it is in the reputation state", async () => {
+      const { status, body } = await queryOracle(port, `/colonies/${colonyAddress}/skills/2/total`);
+      assert.equal(status, 200);
+      assert.equal(body.reputationAmount, "750");
+      assert.equal(body.key, await ReputationMiner.getKey(colonyAddress, 2, ZERO_ADDRESS));
+      assert.equal(body.reputationRootHash, snapshot.rootHash);
+      const impliedRoot = await snapshot.tree.getImpliedRoot(body.key, body.value, body.branchMask, body.siblings);
+      assert.equal(impliedRoot, snapshot.rootHash);
+
+      const { status: missingStatus } = await queryOracle(port, `/colonies/${colonyAddress}/skills/4/total`);
+      assert.equal(missingStatus, 400);
+    });
+
+    it("should list every reputation, a page at a time, in the order of the reputation tree", async () => {
+      let { status, body } = await queryOracle(port, "/reputations?pageSize=3");
+      assert.equal(status, 200);
+      assert.equal(body.reputationRootHash, snapshot.rootHash);
+      assert.equal(body.nNodes, 8);
+      const listed = body.reputations;
+      while (body.next !== null) {
+        ({ body } = await queryOracle(port, `/reputations?pageSize=3&rootHash=${snapshot.rootHash}&after=${body.next}`)); // eslint-disable-line no-await-in-loop
+        assert.isAtMost(body.reputations.length, 3);
+        listed.push(...body.reputations);
+      }
+      assert.deepEqual(listed.map(({ key }) => key), (await snapshot.tree.entries()).map(([key]) => key));
+      listed.forEach(({ key, value, colonyAddress: colony, skillId, userAddress, reputationAmount }) => {
+        assert.equal(value, values[key]);
+        assert.deepEqual({ colonyAddress: colony, skillId, userAddress }, ReputationMiner.decodeKey(key));
+        assert.equal(reputationAmount, ReputationMiner.decodeValue(value).amount);
+      });
+
+      // Which is how the diff tool gets the state of another miner
+      const fetched = await fetchReputationsFromOracle(`http://127.0.0.1:${port}`);
+      assert.equal(fetched.rootHash, snapshot.rootHash);
+      assert.deepEqual(diffReputations(values, fetched.reputations), []);
+
+      const invalidQueries = ["after=0x123", "pageSize=0", "pageSize=1001", "pageSize=2.5"];
+      for (let i = 0; i < invalidQueries.length; i += 1) {
+        ({ status } = await queryOracle(port, `/reputations?${invalidQueries[i]}`)); // eslint-disable-line no-await-in-loop
+        assert.equal(status, 400, invalidQueries[i]);
+      }
+    });
+  });
 });